@@ -4,6 +4,7 @@ import { checkAndInstallOpenclaw } from "../lib/install.js";
 import { startNestServer } from "../lib/server.js";
 import { loadOrCreateConfig } from "../lib/auth.js";
 import { detectEngine, createEngine } from "../lib/engine/detect.js";
+import { findCliCommand, runCli } from "../lib/cli.js";
 import { createInterface } from "node:readline";
 import { execSync } from "node:child_process";
 
@@ -29,10 +30,18 @@ function checkAdmin() {
   }
 }
 
+var args = process.argv.slice(2);
+var cliCommand = findCliCommand(args);
+
 async function main() {
+  // Headless subcommands: no banner, no installer, exit with the command's code
+  if (cliCommand) {
+    var cliEngine = await createEngine(await detectEngine(args));
+    process.exit(await runCli(args, cliEngine));
+  }
+
   console.log("\nOpenClaw Nest\n");
 
-  var args = process.argv.slice(2);
   var serverMode = args.indexOf("--server") !== -1;
   var resetToken = args.indexOf("--reset-token") !== -1;
   var portOverride = 0;
@@ -83,6 +92,7 @@ async function main() {
 
 main().catch(async function(err) {
   console.error("\nFailed: " + err.message);
+  if (cliCommand) process.exit(1);
   await waitForKey();
   process.exit(1);
 });
@@ -0,0 +1,158 @@
+import { findChannel } from "./channels.js";
+
+/**
+ * Who may talk to an instance on a channel, kept in its channels.<id> section of
+ * openclaw.json and shown as
+ *
+ *   { dmPolicy, allowFrom, groupPolicy, requireMention, groups }
+ *
+ * allowFrom lists the user IDs that may DM the bot under the allowlist policy (the
+ * "*" OpenClaw wants for the open policy is added and hidden here). groups are
+ * per-group rules [{ id, requireMention }]; requireMention is the rule for the
+ * other groups. Only channels with an `access` entry in the registry are managed.
+ *
+ * A groups["*"] entry admits every group, so under the allowlist group policy there
+ * is none. Where a channel keeps requireMention in it (Telegram), the rule for other
+ * groups is then only kept by Nest, in the instance metadata (`stored` below), and
+ * applied to the groups as they are listed.
+ */
+
+export var DM_POLICIES = ["pairing", "allowlist", "open", "disabled"];
+export var GROUP_POLICIES = ["open", "allowlist", "disabled"];
+
+var SETTINGS = ["dmPolicy", "allowFrom", "groupPolicy", "requireMention", "groups"];
+
+function accessError(message) {
+  var err = new Error(message);
+  err.code = "ECONFIG";
+  return err;
+}
+
+/** The access descriptor of a channel, or null if its access can't be managed. */
+export function accessSpec(channelId) {
+  var channel = findChannel(channelId);
+  return (channel && channel.access) || null;
+}
+
+function mentionOf(spec, section, stored) {
+  var value = spec.mentionPath.reduce(function(obj, key) { return obj && obj[key]; }, section);
+  if (typeof value !== "boolean" && stored && typeof stored.requireMention === "boolean") value = stored.requireMention;
+  return value !== false;
+}
+
+/**
+ * The access settings in a channel's section of openclaw.json.
+ * @param {object} [stored] - what Nest keeps for the channel ({ requireMention }, see applyAccess)
+ */
+export function readAccess(channelId, section, stored) {
+  var spec = accessSpec(channelId);
+  if (!spec) throw new Error("Access of " + channelId + " can't be managed");
+  section = section || {};
+  var requireMention = mentionOf(spec, section, stored);
+  var groups = section.groups || {};
+  return {
+    dmPolicy: section.dmPolicy || "pairing",
+    allowFrom: (section.allowFrom || []).map(String).filter(function(v) { return v !== "*"; }),
+    groupPolicy: section.groupPolicy || "open",
+    requireMention: requireMention,
+    groups: Object.keys(groups).filter(function(k) { return k !== "*"; }).map(function(k) {
+      var rule = groups[k] || {};
+      return { id: k, requireMention: typeof rule.requireMention === "boolean" ? rule.requireMention : requireMention };
+    }),
+  };
+}
+
+// Trimmed, de-duplicated IDs, each matching the channel's pattern
+function checkIds(list, name, kind) {
+  if (!Array.isArray(list)) throw accessError(name + " must be a list");
+  var out = [];
+  list.forEach(function(value) {
+    var id = String(value == null ? "" : value).trim();
+    if (!kind.pattern.test(id)) {
+      throw accessError(name + ": \"" + id + "\" doesn't look like a " + kind.label + " (expected " + kind.example + ")");
+    }
+    if (out.indexOf(id) === -1) out.push(id);
+  });
+  return out;
+}
+
+/**
+ * Apply a partial update ({ dmPolicy, allowFrom, groupPolicy, requireMention, groups })
+ * to a channel's section of openclaw.json. Per-group settings other than
+ * requireMention are kept. Throws (err.code "ECONFIG") on invalid settings.
+ * @param {object} [stored] - what Nest keeps for the channel, as returned last time
+ * @returns {{ section: object, stored: { requireMention: boolean } }} the new section, and
+ *   what Nest has to keep for the channel
+ */
+export function applyAccess(channelId, section, update, stored) {
+  var spec = accessSpec(channelId);
+  if (!spec) throw accessError("Access of " + channelId + " can't be managed");
+  if (!update || typeof update !== "object" || Array.isArray(update)) throw accessError(channelId + " access must be an object");
+  Object.keys(update).forEach(function(key) {
+    if (SETTINGS.indexOf(key) === -1) throw accessError("Unknown access setting: " + key);
+  });
+  var access = readAccess(channelId, section, stored);
+
+  if (update.dmPolicy !== undefined) {
+    if (DM_POLICIES.indexOf(update.dmPolicy) === -1) throw accessError("dmPolicy must be one of " + DM_POLICIES.join(", "));
+    access.dmPolicy = update.dmPolicy;
+  }
+  if (update.allowFrom !== undefined) access.allowFrom = checkIds(update.allowFrom, "allowFrom", spec.user);
+  if (update.groupPolicy !== undefined) {
+    if (GROUP_POLICIES.indexOf(update.groupPolicy) === -1) throw accessError("groupPolicy must be one of " + GROUP_POLICIES.join(", "));
+    access.groupPolicy = update.groupPolicy;
+  }
+  if (update.requireMention !== undefined) {
+    if (typeof update.requireMention !== "boolean") throw accessError("requireMention must be true or false");
+    access.requireMention = update.requireMention;
+  }
+  if (update.groups !== undefined) {
+    if (!Array.isArray(update.groups)) throw accessError("groups must be a list");
+    var ids = checkIds(update.groups.map(function(g) { return g && typeof g === "object" ? g.id : g; }), "groups", spec.group);
+    if (ids.length !== update.groups.length) throw accessError("groups lists a group twice");
+    access.groups = update.groups.map(function(g, i) {
+      var mention = g && typeof g === "object" ? g.requireMention : undefined;
+      if (mention !== undefined && typeof mention !== "boolean") throw accessError("groups: requireMention of " + ids[i] + " must be true or false");
+      return { id: ids[i], requireMention: mention === undefined ? access.requireMention : mention };
+    });
+  }
+
+  if (access.dmPolicy === "allowlist" && !access.allowFrom.length) {
+    throw accessError("dmPolicy allowlist needs at least one user in allowFrom");
+  }
+  if (access.groupPolicy === "allowlist" && !access.groups.length) {
+    throw accessError("groupPolicy allowlist needs at least one group in groups");
+  }
+
+  var out = JSON.parse(JSON.stringify(section || {}));
+  out.dmPolicy = access.dmPolicy;
+  var allowFrom = access.dmPolicy === "open" ? access.allowFrom.concat("*") : access.allowFrom;
+  if (allowFrom.length) out.allowFrom = allowFrom;
+  else delete out.allowFrom;
+  out.groupPolicy = access.groupPolicy;
+
+  var allowlist = access.groupPolicy === "allowlist";
+  var before = out.groups || {};
+  var groups = {};
+  if (before["*"] && !allowlist) groups["*"] = before["*"];
+  access.groups.forEach(function(g) {
+    groups[g.id] = Object.assign({}, before[g.id], { requireMention: g.requireMention });
+  });
+  out.groups = groups;
+  if (!(allowlist && spec.mentionPath.indexOf("*") !== -1)) {
+    var target = out;
+    spec.mentionPath.slice(0, -1).forEach(function(key) {
+      if (!target[key] || typeof target[key] !== "object") target[key] = {};
+      target = target[key];
+    });
+    target[spec.mentionPath[spec.mentionPath.length - 1]] = access.requireMention;
+  }
+
+  // Only the chosen groups may be listed, and "*" only where every group is let in anyway
+  var listed = access.groups.map(function(g) { return g.id; });
+  var extra = Object.keys(out.groups).filter(function(k) { return listed.indexOf(k) === -1 && (allowlist || k !== "*"); });
+  if (extra.length) throw new Error("Access of " + channelId + " would admit unlisted groups: " + extra.join(", "));
+
+  if (!Object.keys(out.groups).length) delete out.groups;
+  return { section: out, stored: { requireMention: access.requireMention } };
+}
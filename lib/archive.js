@@ -0,0 +1,265 @@
+import { createReadStream, createWriteStream, readdirSync, lstatSync, mkdirSync } from "node:fs";
+import { join, dirname, resolve, sep } from "node:path";
+import { createGzip, createGunzip } from "node:zlib";
+import { once } from "node:events";
+import { Readable } from "node:stream";
+import { pipeline } from "node:stream/promises";
+
+/**
+ * Minimal tar.gz support (ustar + GNU long names) for instance backups,
+ * so archives can be produced without a tar binary or extra dependencies.
+ */
+
+var BLOCK = 512;
+var MAX_LONG_NAME = 64 * 1024;
+
+function octal(value, width) {
+  return value.toString(8).padStart(width - 1, "0") + "\0";
+}
+
+function header(name, size, mode, mtime, type) {
+  var buf = Buffer.alloc(BLOCK);
+  buf.write(name.slice(0, 100), 0, "utf-8");
+  buf.write(octal(mode, 8), 100);
+  buf.write(octal(0, 8), 108);
+  buf.write(octal(0, 8), 116);
+  buf.write(octal(size, 12), 124);
+  buf.write(octal(Math.floor(mtime / 1000), 12), 136);
+  buf.write("        ", 148);
+  buf.write(type, 156);
+  buf.write("ustar\0", 257);
+  buf.write("00", 263);
+  var sum = 0;
+  for (var i = 0; i < BLOCK; i++) sum += buf[i];
+  buf.write(sum.toString(8).padStart(6, "0") + "\0 ", 148);
+  return buf;
+}
+
+function padding(size) {
+  var rem = size % BLOCK;
+  return rem === 0 ? Buffer.alloc(0) : Buffer.alloc(BLOCK - rem);
+}
+
+// Header blocks of an entry (with a GNU long-name entry before it if needed)
+function entryHeader(name, size, mode, mtime, type) {
+  var blocks = [];
+  if (Buffer.byteLength(name) > 100) {
+    var longName = Buffer.from(name + "\0", "utf-8");
+    blocks.push(header("././@LongLink", longName.length, 0o644, 0, "L"), longName, padding(longName.length));
+  }
+  blocks.push(header(name, size, mode, mtime, type));
+  return blocks;
+}
+
+function walk(root, rel, out) {
+  var names = readdirSync(join(root, rel)).sort();
+  for (var i = 0; i < names.length; i++) {
+    var relPath = rel ? rel + "/" + names[i] : names[i];
+    var st = lstatSync(join(root, relPath));
+    if (st.isDirectory()) {
+      out.push({ path: relPath, dir: true, mode: st.mode & 0o777, mtime: st.mtimeMs });
+      walk(root, relPath, out);
+    } else if (st.isFile()) {
+      out.push({ path: relPath, dir: false, mode: st.mode & 0o777, mtime: st.mtimeMs, size: st.size });
+    }
+    // Symlinks, sockets etc. are skipped
+  }
+  return out;
+}
+
+/**
+ * Write a tar.gz file. Files of the trees are streamed in, so only a chunk at a
+ * time is held in memory.
+ * @param {string} file - output path
+ * @param {Array<{ name: string, data: Buffer }>} extras - in-memory files to add first
+ * @param {Array<{ dir: string, prefix: string }>} trees - directories to add under a prefix
+ * @returns {Promise<void>}
+ */
+export async function writeTarGz(file, extras, trees) {
+  var gzip = createGzip();
+  var done = pipeline(gzip, createWriteStream(file));
+  // Awaited below; this only keeps an early failure from counting as unhandled
+  done.catch(function() {});
+
+  // Respect backpressure: wait for the gzip stream to drain when its buffer is full
+  async function write(buf) {
+    if (buf.length && !gzip.write(buf)) await once(gzip, "drain");
+  }
+  async function writeAll(blocks) {
+    for (var i = 0; i < blocks.length; i++) await write(blocks[i]);
+  }
+
+  try {
+    var now = Date.now();
+    for (var e of extras) {
+      await writeAll(entryHeader(e.name, e.data.length, 0o600, now, "0").concat([e.data, padding(e.data.length)]));
+    }
+    for (var t of trees) {
+      await write(header(t.prefix + "/", 0, 0o755, now, "5"));
+      for (var entry of walk(t.dir, "", [])) {
+        var name = t.prefix + "/" + entry.path;
+        if (entry.dir) {
+          await writeAll(entryHeader(name + "/", 0, entry.mode, entry.mtime, "5"));
+        } else {
+          await writeAll(entryHeader(name, entry.size, entry.mode, entry.mtime, "0"));
+          await copyInto(join(t.dir, entry.path), entry.size, write);
+        }
+      }
+    }
+    gzip.end(Buffer.alloc(BLOCK * 2));
+  } catch (err) {
+    gzip.destroy(err);
+  }
+  await done;
+}
+
+// Stream a file into the archive as exactly `size` bytes (the size in its header),
+// even if it changed since it was listed
+async function copyInto(path, size, write) {
+  var written = 0;
+  if (size > 0) {
+    for await (var chunk of createReadStream(path)) {
+      if (chunk.length > size - written) chunk = chunk.subarray(0, size - written);
+      await write(chunk);
+      written += chunk.length;
+      if (written === size) break;
+    }
+  }
+  while (written < size) {
+    var fill = Buffer.alloc(Math.min(size - written, 64 * 1024));
+    await write(fill);
+    written += fill.length;
+  }
+  await write(padding(size));
+}
+
+// Fields of a tar header block
+function parseHeader(h) {
+  var name = h.toString("utf-8", 0, 100).replace(/\0.*$/s, "");
+  var prefix = h.toString("utf-8", 345, 500).replace(/\0.*$/s, "");
+  if (prefix) name = prefix + "/" + name;
+  return {
+    name: name,
+    size: parseInt(h.toString("ascii", 124, 136).replace(/\0.*$/s, "").trim() || "0", 8),
+    mode: parseInt(h.toString("ascii", 100, 108).replace(/\0.*$/s, "").trim() || "644", 8),
+    type: String.fromCharCode(h[156] || 48),
+  };
+}
+
+/**
+ * Read a tar.gz file entry by entry, without loading it or any entry whole.
+ * `onEntry` gets { name, type: "file"|"dir", mode, size, body } in archive order,
+ * where body is an async iterable of the entry's chunks (see readEntry, extractEntry);
+ * what it doesn't read is skipped. It may return a promise, and stops the read by
+ * returning false.
+ * @returns {Promise<void>}
+ */
+export async function forEachTarGzEntry(file, onEntry) {
+  var source = createReadStream(file);
+  var gunzip = createGunzip();
+  source.on("error", function(err) { gunzip.destroy(err); });
+  source.pipe(gunzip);
+  var chunks = gunzip[Symbol.asyncIterator]();
+
+  var pending = Buffer.alloc(0);
+  async function more() {
+    var next = await chunks.next();
+    if (next.done) throw new Error("Unexpected end of archive");
+    pending = pending.length ? Buffer.concat([pending, next.value]) : next.value;
+  }
+  // Small reads only: header blocks and long names
+  async function read(n) {
+    while (pending.length < n) await more();
+    var out = pending.subarray(0, n);
+    pending = pending.subarray(n);
+    return out;
+  }
+  // The current entry's data, chunk by chunk; `left` is what is still unread
+  var left = 0;
+  async function* body() {
+    while (left > 0) {
+      if (!pending.length) await more();
+      var part = pending.subarray(0, Math.min(left, pending.length));
+      pending = pending.subarray(part.length);
+      left -= part.length;
+      yield part;
+    }
+  }
+
+  var longName = null;
+  try {
+    for (;;) {
+      var block;
+      try {
+        block = await read(BLOCK);
+      } catch (err) {
+        // Archives may end without the two zero blocks
+        if (err.message === "Unexpected end of archive") return;
+        throw err;
+      }
+      if (block.every(function(b) { return b === 0; })) return;
+      var h = parseHeader(block);
+      if (!Number.isSafeInteger(h.size) || h.size < 0) throw new Error("Invalid tar header");
+      var padded = Math.ceil(h.size / BLOCK) * BLOCK;
+
+      if (h.type === "L") {
+        if (h.size > MAX_LONG_NAME) throw new Error("Archive entry name too long");
+        longName = (await read(padded)).subarray(0, h.size).toString("utf-8").replace(/\0.*$/s, "");
+        continue;
+      }
+      var name = longName || h.name;
+      longName = null;
+      left = h.size;
+      var entry = body();
+      var out = null;
+      if (h.type === "5") out = { name: name.replace(/\/$/, ""), type: "dir", mode: h.mode, size: 0, body: entry };
+      else if (h.type === "0" || h.type === "\0") out = { name: name, type: "file", mode: h.mode, size: h.size, body: entry };
+      if (out && (await onEntry(out)) === false) return;
+      // Whatever onEntry left unread, then the padding
+      while (left > 0) {
+        if (!pending.length) await more();
+        var skip = Math.min(left, pending.length);
+        pending = pending.subarray(skip);
+        left -= skip;
+      }
+      await read(padded - h.size);
+    }
+  } finally {
+    source.destroy();
+    gunzip.destroy();
+  }
+}
+
+/**
+ * The data of a file entry as a Buffer. Throws if it is larger than `max` bytes,
+ * before reading any of it.
+ */
+export async function readEntry(entry, max) {
+  if (entry.size > max) throw new Error("Archive entry too large: " + entry.name);
+  var parts = [];
+  for await (var part of entry.body) parts.push(Buffer.from(part));
+  return Buffer.concat(parts);
+}
+
+/**
+ * Write an archive entry under a prefix into a directory, streaming its data,
+ * and refusing paths that escape it. Entries outside the prefix are skipped.
+ * @param {object} entry - from forEachTarGzEntry
+ * @param {string} prefix - archive directory to extract (e.g. "state")
+ * @param {string} dest - target directory
+ * @returns {Promise<void>}
+ */
+export async function extractEntry(entry, prefix, dest) {
+  if (entry.name !== prefix && !entry.name.startsWith(prefix + "/")) return;
+  var rel = entry.name.slice(prefix.length + 1);
+  if (!rel) return;
+  var root = resolve(dest);
+  var target = resolve(root, rel);
+  if (target !== root && !target.startsWith(root + sep)) throw new Error("Unsafe path in archive: " + entry.name);
+  if (entry.type === "dir") {
+    mkdirSync(target, { recursive: true });
+  } else {
+    mkdirSync(dirname(target), { recursive: true });
+    await pipeline(Readable.from(entry.body), createWriteStream(target, { mode: entry.mode || 0o644 }));
+  }
+}
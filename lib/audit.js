@@ -0,0 +1,121 @@
+import { appendFileSync, readFileSync, existsSync } from "node:fs";
+import { join } from "node:path";
+import { getNestDir } from "./store.js";
+
+// Key names ending like a credential (not e.g. maxTokens)
+var SECRET_KEY_RE = /(apikey|token|secret|password)$/i;
+var REDACTED = "***";
+
+function auditFile() {
+  return join(getNestDir(), "audit.jsonl");
+}
+
+/**
+ * Deep-copy a value with anything that looks like a credential replaced by "***".
+ */
+export function redactSecrets(value) {
+  if (Array.isArray(value)) return value.map(redactSecrets);
+  if (!value || typeof value !== "object") return value;
+  var out = {};
+  for (var key of Object.keys(value)) {
+    if (SECRET_KEY_RE.test(key) && value[key] !== "" && value[key] != null && typeof value[key] !== "object") {
+      out[key] = REDACTED;
+    } else {
+      out[key] = redactSecrets(value[key]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Undo redactSecrets on an edited copy: every "***" credential is put back from
+ * the original at the same path. Throws if the original has nothing there.
+ */
+export function restoreRedacted(value, original, path) {
+  path = path || "";
+  if (Array.isArray(value)) {
+    return value.map(function(v, i) { return restoreRedacted(v, Array.isArray(original) ? original[i] : undefined, path + "[" + i + "]"); });
+  }
+  if (!value || typeof value !== "object") return value;
+  var out = {};
+  for (var key of Object.keys(value)) {
+    var keyPath = path ? path + "." + key : key;
+    var before = original && typeof original === "object" ? original[key] : undefined;
+    if (value[key] === REDACTED && SECRET_KEY_RE.test(key)) {
+      if (typeof before !== "string" || !before) throw new Error(keyPath + " is masked (\"" + REDACTED + "\"); enter the value itself");
+      out[key] = before;
+    } else {
+      out[key] = restoreRedacted(value[key], before, keyPath);
+    }
+  }
+  return out;
+}
+
+function flatten(obj, prefix, out) {
+  if (obj && typeof obj === "object" && !Array.isArray(obj)) {
+    for (var key of Object.keys(obj)) {
+      flatten(obj[key], prefix ? prefix + "." + key : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = obj;
+  }
+  return out;
+}
+
+/**
+ * Compute a flat diff between two config objects.
+ * Secret values are redacted, but a changed secret still shows up as a change.
+ * @returns {Array<{ path: string, before: *, after: * }>}
+ */
+export function diffConfig(before, after) {
+  var a = flatten(before || {}, "", {});
+  var b = flatten(after || {}, "", {});
+  var redA = flatten(redactSecrets(before || {}), "", {});
+  var redB = flatten(redactSecrets(after || {}), "", {});
+  var paths = new Set(Object.keys(a).concat(Object.keys(b)));
+  var changes = [];
+  for (var path of paths) {
+    if (JSON.stringify(a[path]) === JSON.stringify(b[path])) continue;
+    changes.push({ path: path, before: redA[path], after: redB[path] });
+  }
+  changes.sort(function(x, y) { return x.path < y.path ? -1 : x.path > y.path ? 1 : 0; });
+  return changes;
+}
+
+/**
+ * Append an entry to the audit log. Never throws — auditing must not break the action.
+ * @param {object} entry - { actor, ip, action, instance, outcome, error, changes }
+ */
+export function recordAudit(entry) {
+  var line = Object.assign({ ts: new Date().toISOString() }, entry);
+  try {
+    appendFileSync(auditFile(), JSON.stringify(line) + "\n", "utf-8");
+  } catch (err) {
+    console.error("Audit log write failed: " + err.message);
+  }
+}
+
+/**
+ * Read audit entries, newest first.
+ * @param {object} [opts] - { instance, since, limit }
+ */
+export function readAudit(opts) {
+  opts = opts || {};
+  var file = auditFile();
+  if (!existsSync(file)) return [];
+  var sinceMs = opts.since ? new Date(opts.since).getTime() : 0;
+  if (isNaN(sinceMs)) throw new Error("Invalid since: " + opts.since);
+  var limit = opts.limit || 200;
+
+  var lines = readFileSync(file, "utf-8").split("\n");
+  var result = [];
+  for (var i = lines.length - 1; i >= 0 && result.length < limit; i--) {
+    if (!lines[i]) continue;
+    var entry;
+    try { entry = JSON.parse(lines[i]); } catch { continue; }
+    if (opts.instance && entry.instance !== opts.instance) continue;
+    if (sinceMs && new Date(entry.ts).getTime() < sinceMs) break;
+    result.push(entry);
+  }
+  return result;
+}
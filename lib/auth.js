@@ -1,7 +1,7 @@
 import { readFileSync, writeFileSync, mkdirSync, chmodSync } from "node:fs";
 import { join } from "node:path";
 import { homedir, platform } from "node:os";
-import { randomBytes, createHmac } from "node:crypto";
+import { randomBytes, createHmac, createHash, randomUUID, scryptSync, timingSafeEqual } from "node:crypto";
 
 var CONFIG_DIR = process.env.HOST_DATA_PATH || join(homedir(), ".openclaw-nest");
 var CONFIG_FILE = join(CONFIG_DIR, "config.json");
@@ -13,33 +13,63 @@ var RATE_LIMIT_LOCK_MS = 5 * 60 * 1000; // 5 minutes
 // Rate limit store: ip -> { count, lockedUntil }
 var rateLimitMap = new Map();
 
-export function loadOrCreateConfig(resetToken) {
-  var config;
+// Session identity for the master token; not a valid username, so it can't collide
+export var MASTER_USER = "@master";
+
+// Ordered from least to most privileged
+export var ROLES = ["viewer", "operator", "owner"];
+
+var API_TOKEN_PREFIX = "ocn_";
+// Ordered from least to most privileged; each scope includes the ones before it
+export var API_TOKEN_SCOPES = ["read", "lifecycle", "admin"];
+// Prometheus scrape tokens: GET /metrics and nothing else
+export var METRICS_SCOPE = "metrics";
+
+function writeConfig(config) {
+  mkdirSync(CONFIG_DIR, { recursive: true });
+  writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), "utf-8");
+  if (platform() !== "win32") {
+    try { chmodSync(CONFIG_FILE, 0o600); } catch { /* ignore */ }
+  }
+}
+
+function readConfig() {
   try {
-    config = JSON.parse(readFileSync(CONFIG_FILE, "utf-8"));
+    var config = JSON.parse(readFileSync(CONFIG_FILE, "utf-8"));
+    return config && typeof config === "object" ? config : null;
   } catch {
-    config = null;
+    return null;
   }
+}
+
+/** Read a nest-wide setting from config.json, or undefined. */
+export function getSetting(key) {
+  var config = readConfig() || {};
+  return config[key];
+}
 
-  if (!config || typeof config !== "object") {
-    mkdirSync(CONFIG_DIR, { recursive: true });
+/** Persist a nest-wide setting in config.json. */
+export function setSetting(key, value) {
+  var config = readConfig() || {};
+  config[key] = value;
+  writeConfig(config);
+}
+
+export function loadOrCreateConfig(resetToken) {
+  var config = readConfig();
+
+  if (!config) {
     config = {
       token: process.env.NEST_TOKEN || randomBytes(16).toString("hex"),
       port: 6800
     };
-    writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), "utf-8");
-    if (platform() !== "win32") {
-      try { chmodSync(CONFIG_FILE, 0o600); } catch { /* ignore */ }
-    }
+    writeConfig(config);
     return config;
   }
 
   if (resetToken) {
     config.token = randomBytes(16).toString("hex");
-    writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), "utf-8");
-    if (platform() !== "win32") {
-      try { chmodSync(CONFIG_FILE, 0o600); } catch { /* ignore */ }
-    }
+    writeConfig(config);
   }
 
   // Ensure required fields exist
@@ -47,10 +77,7 @@ export function loadOrCreateConfig(resetToken) {
   if (!config.token) { config.token = randomBytes(16).toString("hex"); dirty = true; }
   if (!config.port) { config.port = 6800; dirty = true; }
   if (dirty) {
-    writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2), "utf-8");
-    if (platform() !== "win32") {
-      try { chmodSync(CONFIG_FILE, 0o600); } catch { /* ignore */ }
-    }
+    writeConfig(config);
   }
 
   // NEST_TOKEN env always wins
@@ -61,31 +88,42 @@ export function loadOrCreateConfig(resetToken) {
   return config;
 }
 
-export function signSession(token) {
+/**
+ * Sign a session cookie for a user. The master token logs in as MASTER_USER.
+ * Format: <ts36>.<base64url username>.<hmac>
+ */
+export function signSession(token, username) {
   var ts = Date.now().toString(36);
-  var sig = createHmac("sha256", token).update("openclaw:" + ts).digest("hex").slice(0, 32);
-  return ts + "." + sig;
+  var user = Buffer.from(username || MASTER_USER, "utf-8").toString("base64url");
+  var sig = createHmac("sha256", token).update("openclaw:" + ts + ":" + user).digest("hex").slice(0, 32);
+  return ts + "." + user + "." + sig;
 }
 
+/**
+ * Verify a session cookie.
+ * @returns {string|null} the username it was issued to, or null if invalid/expired
+ */
 export function verifySession(cookie, token) {
-  if (!cookie || typeof cookie !== "string") return false;
-  var dot = cookie.indexOf(".");
-  if (dot === -1) return false;
-  var ts = cookie.slice(0, dot);
-  var sig = cookie.slice(dot + 1);
-  if (!ts || !sig) return false;
+  if (!cookie || typeof cookie !== "string") return null;
+  var parts = cookie.split(".");
+  if (parts.length !== 3) return null;
+  var ts = parts[0];
+  var user = parts[1];
+  var sig = parts[2];
+  if (!ts || !user || !sig) return null;
 
   var time = parseInt(ts, 36);
-  if (isNaN(time) || Date.now() - time > SESSION_MAX_AGE) return false;
+  if (isNaN(time) || Date.now() - time > SESSION_MAX_AGE) return null;
 
-  var expected = createHmac("sha256", token).update("openclaw:" + ts).digest("hex").slice(0, 32);
-  if (sig.length !== expected.length) return false;
+  var expected = createHmac("sha256", token).update("openclaw:" + ts + ":" + user).digest("hex").slice(0, 32);
+  if (sig.length !== expected.length) return null;
 
   var mismatch = 0;
   for (var i = 0; i < sig.length; i++) {
     mismatch |= sig.charCodeAt(i) ^ expected.charCodeAt(i);
   }
-  return mismatch === 0;
+  if (mismatch !== 0) return null;
+  return Buffer.from(user, "base64url").toString("utf-8");
 }
 
 export function checkRateLimit(ip) {
@@ -114,3 +152,249 @@ export function recordFailure(ip) {
 export function clearFailure(ip) {
   rateLimitMap.delete(ip);
 }
+
+function hashApiToken(secret) {
+  return createHash("sha256").update(secret).digest("hex");
+}
+
+/** Strip the hash before handing a token record to callers. */
+function publicApiToken(t) {
+  return {
+    id: t.id,
+    name: t.name,
+    scope: t.scope,
+    prefix: t.prefix,
+    createdAt: t.createdAt,
+    expiresAt: t.expiresAt || null,
+  };
+}
+
+/** List API tokens (without secrets). */
+export function listApiTokens() {
+  var config = readConfig() || {};
+  return (config.apiTokens || []).map(publicApiToken);
+}
+
+/**
+ * Create a named API token. The secret is only returned here; config.json keeps a hash.
+ * @param {object} opts - { name, scope, expiresAt }
+ * @returns {{ token: string, info: object }}
+ */
+export function createApiToken(opts) {
+  var name = (opts.name || "").trim();
+  if (!name) throw new Error("Token name required");
+  if (name.length > 64) throw new Error("Token name too long (max 64 characters)");
+  var scope = opts.scope || "read";
+  if (API_TOKEN_SCOPES.indexOf(scope) === -1 && scope !== METRICS_SCOPE) throw new Error("Invalid scope: " + scope);
+  var expiresAt = null;
+  if (opts.expiresAt) {
+    var exp = new Date(opts.expiresAt);
+    if (isNaN(exp.getTime())) throw new Error("Invalid expiresAt");
+    if (exp.getTime() <= Date.now()) throw new Error("expiresAt must be in the future");
+    expiresAt = exp.toISOString();
+  }
+
+  var config = readConfig();
+  if (!config) throw new Error("Nest config not initialized");
+  var secret = API_TOKEN_PREFIX + randomBytes(24).toString("hex");
+  var record = {
+    id: randomUUID(),
+    name: name,
+    scope: scope,
+    prefix: secret.slice(0, API_TOKEN_PREFIX.length + 6),
+    hash: hashApiToken(secret),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt,
+  };
+  config.apiTokens = (config.apiTokens || []).concat([record]);
+  writeConfig(config);
+  return { token: secret, info: publicApiToken(record) };
+}
+
+/** Revoke an API token by id. Returns false if it didn't exist. */
+export function revokeApiToken(id) {
+  var config = readConfig();
+  if (!config || !config.apiTokens) return false;
+  var kept = config.apiTokens.filter(function(t) { return t.id !== id; });
+  if (kept.length === config.apiTokens.length) return false;
+  config.apiTokens = kept;
+  writeConfig(config);
+  return true;
+}
+
+/**
+ * Resolve a bearer secret to its token record, or null if unknown/expired.
+ */
+export function verifyApiToken(secret) {
+  if (!secret || typeof secret !== "string" || !secret.startsWith(API_TOKEN_PREFIX)) return null;
+  var config = readConfig() || {};
+  var hash = hashApiToken(secret);
+  var tokens = config.apiTokens || [];
+  for (var i = 0; i < tokens.length; i++) {
+    var t = tokens[i];
+    if (t.hash.length !== hash.length) continue;
+    var mismatch = 0;
+    for (var j = 0; j < hash.length; j++) {
+      mismatch |= hash.charCodeAt(j) ^ t.hash.charCodeAt(j);
+    }
+    if (mismatch !== 0) continue;
+    if (t.expiresAt && new Date(t.expiresAt).getTime() <= Date.now()) return null;
+    return publicApiToken(t);
+  }
+  return null;
+}
+
+// --- Users ---
+
+function hashPassword(password) {
+  var salt = randomBytes(16);
+  var hash = scryptSync(password, salt, 64);
+  return "scrypt$" + salt.toString("hex") + "$" + hash.toString("hex");
+}
+
+var DUMMY_HASH = "scrypt$" + "00".repeat(16) + "$" + "00".repeat(64);
+
+function checkPassword(password, stored) {
+  var parts = (stored || "").split("$");
+  if (parts.length !== 3 || parts[0] !== "scrypt") return false;
+  var expected = Buffer.from(parts[2], "hex");
+  var actual = scryptSync(password, Buffer.from(parts[1], "hex"), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+function validateUsername(username) {
+  if (!username) throw new Error("Username required");
+  if (username.length > 32) throw new Error("Username too long (max 32 characters)");
+  if (!/^[a-zA-Z0-9_.-]+$/.test(username)) throw new Error("Username can only contain letters, numbers, dots, hyphens and underscores");
+}
+
+function validatePassword(password) {
+  if (!password || typeof password !== "string") throw new Error("Password required");
+  if (password.length < 8) throw new Error("Password too short (min 8 characters)");
+}
+
+/**
+ * Validate a role map: { "*": role, "<instanceId>": role }.
+ * "*" applies to every instance (and to creating new ones when it is "owner").
+ */
+function validateRoles(roles) {
+  if (!roles || typeof roles !== "object" || Array.isArray(roles)) throw new Error("roles must be an object");
+  var out = {};
+  for (var key of Object.keys(roles)) {
+    if (ROLES.indexOf(roles[key]) === -1) throw new Error("Invalid role for \"" + key + "\": " + roles[key]);
+    out[key] = roles[key];
+  }
+  return out;
+}
+
+function publicUser(u) {
+  return { username: u.username, roles: u.roles || {}, createdAt: u.createdAt };
+}
+
+/** List user accounts (without password hashes). */
+export function listUsers() {
+  var config = readConfig() || {};
+  return (config.users || []).map(publicUser);
+}
+
+/** Get a user account by name, or null. */
+export function getUser(username) {
+  var config = readConfig() || {};
+  var user = (config.users || []).find(function(u) { return u.username === username; });
+  return user ? publicUser(user) : null;
+}
+
+/**
+ * Create a user account.
+ * @param {object} opts - { username, password, roles }
+ */
+export function createUser(opts) {
+  validateUsername(opts.username);
+  validatePassword(opts.password);
+  var roles = validateRoles(opts.roles || {});
+
+  var config = readConfig();
+  if (!config) throw new Error("Nest config not initialized");
+  var users = config.users || [];
+  if (users.some(function(u) { return u.username === opts.username; })) {
+    throw new Error("User \"" + opts.username + "\" already exists");
+  }
+  var record = {
+    username: opts.username,
+    passwordHash: hashPassword(opts.password),
+    roles: roles,
+    createdAt: new Date().toISOString(),
+  };
+  config.users = users.concat([record]);
+  writeConfig(config);
+  return publicUser(record);
+}
+
+/**
+ * Update a user's password and/or roles.
+ * @param {string} username
+ * @param {object} changes - { password, roles }
+ */
+export function updateUser(username, changes) {
+  var config = readConfig();
+  var user = config && (config.users || []).find(function(u) { return u.username === username; });
+  if (!user) throw new Error("User \"" + username + "\" not found");
+  if (changes.password !== undefined) {
+    validatePassword(changes.password);
+    user.passwordHash = hashPassword(changes.password);
+  }
+  if (changes.roles !== undefined) user.roles = validateRoles(changes.roles);
+  writeConfig(config);
+  return publicUser(user);
+}
+
+/** Delete a user account. Returns false if it didn't exist. */
+export function deleteUser(username) {
+  var config = readConfig();
+  if (!config || !config.users) return false;
+  var kept = config.users.filter(function(u) { return u.username !== username; });
+  if (kept.length === config.users.length) return false;
+  config.users = kept;
+  writeConfig(config);
+  return true;
+}
+
+/** Check a username/password pair. Returns the user or null. */
+export function authenticateUser(username, password) {
+  if (!username || !password) return null;
+  var config = readConfig() || {};
+  var user = (config.users || []).find(function(u) { return u.username === username; });
+  if (!user) {
+    // Same scrypt work as a wrong password, so timing doesn't tell which usernames exist
+    checkPassword(password, DUMMY_HASH);
+    return null;
+  }
+  if (!checkPassword(password, user.passwordHash)) return null;
+  return publicUser(user);
+}
+
+// --- Roles ---
+
+/**
+ * Effective role of an actor on an instance (or nest-wide when instanceId is null).
+ * A per-instance grant overrides the "*" grant.
+ * @param {{ roles: object }} actor
+ * @param {string|null} instanceId
+ * @returns {string|null}
+ */
+export function roleFor(actor, instanceId) {
+  var roles = (actor && actor.roles) || {};
+  if (instanceId && roles[instanceId]) return roles[instanceId];
+  return roles["*"] || null;
+}
+
+/** Whether a role is at least the required role. */
+export function roleAllows(role, required) {
+  if (!role) return false;
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+/** Map an API token scope to the role it acts with. */
+export function scopeRole(scope) {
+  return { read: "viewer", lifecycle: "operator", admin: "owner" }[scope] || null;
+}
@@ -0,0 +1,253 @@
+import { existsSync, mkdirSync, readdirSync, statSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { getNestDir, getAllInstances, getInstance, saveInstance, nextAvailablePort } from "./store.js";
+import { validateInstanceName, writeInstanceConfig } from "./configure.js";
+import { exportSecrets, importSecrets } from "./secrets.js";
+import { getSetting } from "./auth.js";
+import { checkQuota, effectiveLimits } from "./limits.js";
+import { writeTarGz, forEachTarGzEntry, extractEntry, readEntry } from "./archive.js";
+
+var BACKUP_FORMAT = 1;
+var MANIFEST = "nest-backup.json";
+var MAX_MANIFEST = 1024 * 1024;
+// Older backups were named to the second; millisecond stamps keep back-to-back backups apart
+var BACKUP_NAME_RE = /^[A-Za-z0-9_-]+-\d{8}T\d{6}(\d{3})?Z(-auto)?\.tar\.gz$/;
+var SCHEDULER_TICK = 10 * 60 * 1000; // 10 minutes
+
+export var DEFAULT_BACKUP_SCHEDULE = { intervalHours: 0, keep: 7 };
+
+function backupDir(instanceId) {
+  return join(getNestDir(), "backups", instanceId);
+}
+
+function stamp(date) {
+  return date.toISOString().replace(/[-:.]/g, "");
+}
+
+/**
+ * Resolve a backup file name to its path. Names are validated so they can't escape the backup dir.
+ * @returns {string|null}
+ */
+export function backupPath(instanceId, file) {
+  if (!BACKUP_NAME_RE.test(file || "")) return null;
+  var path = join(backupDir(instanceId), file);
+  return existsSync(path) ? path : null;
+}
+
+/**
+ * Snapshot an instance's state dir and metadata into a tar.gz in <nest>/backups/<id>/.
+ * Secrets are included encrypted with the master key.
+ * @param {string} instanceId
+ * @param {object} [opts] - { auto: true } for scheduled backups (subject to retention)
+ */
+export async function createBackup(instanceId, opts) {
+  opts = opts || {};
+  var meta = getInstance(instanceId);
+  if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
+  var stateDir = join(getNestDir(), "instances", instanceId);
+  if (!existsSync(stateDir)) throw new Error("State directory missing for instance: " + instanceId);
+
+  var now = new Date();
+  var dir = backupDir(instanceId);
+  mkdirSync(dir, { recursive: true });
+  var file = instanceId + "-" + stamp(now) + (opts.auto ? "-auto" : "") + ".tar.gz";
+
+  var manifest = {
+    format: BACKUP_FORMAT,
+    instanceId: instanceId,
+    createdAt: now.toISOString(),
+    meta: meta,
+    secrets: exportSecrets(instanceId),
+  };
+  await writeTarGz(join(dir, file), [
+    { name: MANIFEST, data: Buffer.from(JSON.stringify(manifest, null, 2), "utf-8") },
+  ], [
+    { dir: stateDir, prefix: "state" },
+  ]);
+
+  return describeBackup(instanceId, file);
+}
+
+function describeBackup(instanceId, file) {
+  var st = statSync(join(backupDir(instanceId), file));
+  return {
+    file: file,
+    instanceId: instanceId,
+    size: st.size,
+    auto: file.endsWith("-auto.tar.gz"),
+    createdAt: st.mtime.toISOString(),
+  };
+}
+
+/** List backups of an instance, newest first. */
+export function listBackups(instanceId) {
+  var dir = backupDir(instanceId);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(function(f) { return BACKUP_NAME_RE.test(f); })
+    .sort()
+    .reverse()
+    .map(function(f) { return describeBackup(instanceId, f); });
+}
+
+/** Delete a backup. Returns false if it didn't exist. */
+export function deleteBackup(instanceId, file) {
+  var path = backupPath(instanceId, file);
+  if (!path) return false;
+  rmSync(path, { force: true });
+  return true;
+}
+
+/** Keep only the newest `keep` scheduled backups of an instance. Manual backups are never pruned. */
+export function pruneBackups(instanceId, keep) {
+  var auto = listBackups(instanceId).filter(function(b) { return b.auto; });
+  auto.slice(keep).forEach(function(b) { deleteBackup(instanceId, b.file); });
+}
+
+/** Path of a stored backup archive; throws if there is no such backup. */
+export function requireBackup(instanceId, file) {
+  var path = backupPath(instanceId, file);
+  if (!path) throw new Error("Backup not found: " + file);
+  return path;
+}
+
+// The manifest is the first entry of every backup, so this reads no further
+async function readManifest(archive) {
+  var data = null;
+  try {
+    await forEachTarGzEntry(archive, async function(e) {
+      if (e.name === MANIFEST) data = await readEntry(e, MAX_MANIFEST);
+      return false;
+    });
+  } catch {
+    throw new Error("Not a valid backup archive");
+  }
+  if (!data) throw new Error("Backup manifest missing");
+  try {
+    return JSON.parse(data.toString("utf-8"));
+  } catch {
+    throw new Error("Backup manifest is not valid JSON");
+  }
+}
+
+/**
+ * Put an instance's state dir back to what one of its backups holds. The
+ * instance must be stopped; metadata and secrets are left as they are.
+ */
+export async function restoreState(instanceId, file) {
+  var archive = requireBackup(instanceId, file);
+  var dir = join(getNestDir(), "instances", instanceId);
+  // Empty the dir rather than replace it, Docker has it bind-mounted
+  if (existsSync(dir)) {
+    readdirSync(dir).forEach(function(name) { rmSync(join(dir, name), { recursive: true, force: true }); });
+  }
+  await forEachTarGzEntry(archive, function(e) { return extractEntry(e, "state", dir); });
+}
+
+/**
+ * Recreate an instance from a backup archive, under its original id or a new one.
+ * Keeps the original port if it is still free, otherwise allocates the next available one.
+ * Throws (err.code "EQUOTA") if the instance doesn't fit in the nest quota.
+ * @param {import("./engine/interface.js").InstanceEngine} engine
+ * @param {string} archive - path of the tar.gz, read as a stream
+ * @param {object} [opts] - { instanceId } to restore under a different id
+ * @returns {Promise<{ id: string, port: number, warnings: string[] }>}
+ */
+export async function restoreBackup(engine, archive, opts) {
+  opts = opts || {};
+  var manifest = await readManifest(archive);
+  if (manifest.format !== BACKUP_FORMAT) throw new Error("Unsupported backup format: " + manifest.format);
+
+  var id = (opts.instanceId || manifest.instanceId || "").trim();
+  validateInstanceName(id);
+  if (getInstance(id)) throw new Error("Instance \"" + id + "\" already exists");
+  var dir = join(getNestDir(), "instances", id);
+  if (existsSync(dir)) throw new Error("Data directory already exists for instance: " + id);
+  // A restored instance counts against the quota like a new one, with the limits it was backed up with
+  checkQuota({ engineType: engine.type, limits: effectiveLimits(manifest.meta) });
+
+  var warnings = [];
+  var all = getAllInstances();
+  var port = manifest.meta.port;
+  var portTaken = Object.keys(all).some(function(k) { return all[k].port === port; });
+  if (!port || portTaken) port = nextAvailablePort();
+
+  try {
+    await forEachTarGzEntry(archive, function(e) { return extractEntry(e, "state", dir); });
+  } catch (err) {
+    rmSync(dir, { recursive: true, force: true });
+    throw err.code === "Z_DATA_ERROR" || err.code === "Z_BUF_ERROR" ? new Error("Not a valid backup archive") : err;
+  }
+
+  if (manifest.secrets) {
+    try {
+      importSecrets(id, manifest.secrets);
+    } catch (err) {
+      warnings.push(err.message + " Re-enter credentials before starting.");
+    }
+  }
+
+  // Docker gateways listen on a fixed port inside the container
+  writeInstanceConfig(dir, { gateway: { port: engine.type === "docker" ? 28789 : port } }, "restore from backup");
+
+  saveInstance(id, Object.assign({}, manifest.meta, {
+    id: id,
+    engine: engine.type,
+    port: port,
+    containerId: null,
+    pid: null,
+    status: "stopped",
+    restoredFrom: { instanceId: manifest.instanceId, backupCreatedAt: manifest.createdAt },
+  }));
+
+  try {
+    await engine.adopt(id);
+  } catch (err) {
+    warnings.push("Runtime setup failed: " + err.message);
+  }
+
+  return { id: id, port: port, warnings: warnings };
+}
+
+/** Current backup schedule: { intervalHours, keep }. intervalHours 0 disables it. */
+export function getBackupSchedule() {
+  return Object.assign({}, DEFAULT_BACKUP_SCHEDULE, getSetting("backup") || {});
+}
+
+/**
+ * Periodically back up every instance whose newest scheduled backup is older
+ * than the configured interval, then apply retention.
+ */
+export function startBackupScheduler() {
+  var busy = false;
+
+  async function tick() {
+    var schedule = getBackupSchedule();
+    if (!schedule.intervalHours || busy) return;
+    busy = true;
+    try {
+      await backupDue(schedule);
+    } finally {
+      busy = false;
+    }
+  }
+
+  async function backupDue(schedule) {
+    var maxAge = schedule.intervalHours * 3600 * 1000;
+    var ids = Object.keys(getAllInstances());
+    for (var i = 0; i < ids.length; i++) {
+      var latest = listBackups(ids[i]).find(function(b) { return b.auto; });
+      if (latest && Date.now() - new Date(latest.createdAt).getTime() < maxAge) continue;
+      try {
+        await createBackup(ids[i], { auto: true });
+        pruneBackups(ids[i], schedule.keep);
+      } catch (err) {
+        console.error("Scheduled backup of " + ids[i] + " failed: " + err.message);
+      }
+    }
+  }
+  var timer = setInterval(function() { tick(); }, SCHEDULER_TICK);
+  timer.unref();
+  tick();
+  return timer;
+}
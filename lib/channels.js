@@ -0,0 +1,359 @@
+/**
+ * Messaging channels an instance can be reached on. A channel is
+ * { id, name, fields, base, plugin, setup, check, access }:
+ *
+ *   fields  credentials asked for at deploy time, each { key, label, path, secret,
+ *           pattern, example, placeholder, hint, link }. `path` is where the value
+ *           goes in the channel's section of openclaw.json. Secret fields also
+ *           declare their vault key and ${ENV} name (see secrets.js); `unique`
+ *           ones can't be shared with a clone (one gateway per bot connection).
+ *   base    the rest of channels.<id>
+ *   plugin  whether plugins.entries.<id> has to be enabled
+ *   setup   what's left to do after the deploy, shown by the wizard
+ *   check   optional live credential check for the health report
+ *   access  optional, for channels whose allowlists and group rules Nest manages
+ *           (see access.js): the `user` and `group` ID formats, and `mentionPath`,
+ *           where the default requireMention for groups lives in the section
+ */
+
+var CHANNELS = [
+  {
+    id: "telegram",
+    name: "Telegram",
+    fields: [{
+      key: "botToken", label: "Bot Token", path: ["botToken"],
+      secret: true, vaultKey: "botToken", env: "NEST_SECRET_TELEGRAM_BOT_TOKEN", unique: true,
+      pattern: /^\d+:[A-Za-z0-9_-]+$/, example: "123456789:ABCdef...",
+      hint: "Create a bot via", link: { text: "@BotFather", url: "https://t.me/BotFather" },
+    }],
+    base: { enabled: true, dmPolicy: "pairing", groups: { "*": { requireMention: true } } },
+    plugin: true,
+    setup: null,
+    check: checkTelegram,
+    access: {
+      user: { label: "Telegram user ID", pattern: /^\d+$/, example: "123456789" },
+      group: { label: "Telegram chat ID", pattern: /^-?\d+$/, example: "-1001234567890" },
+      mentionPath: ["groups", "*", "requireMention"],
+    },
+  },
+  {
+    id: "feishu",
+    name: "Feishu",
+    fields: [{
+      key: "appId", label: "App ID", path: ["accounts", "main", "appId"],
+      pattern: /^cli_\w+$/, example: "cli_xxx",
+      hint: "From", link: { text: "Feishu Open Platform", url: "https://open.feishu.cn/app" },
+    }, {
+      key: "appSecret", label: "App Secret", path: ["accounts", "main", "appSecret"],
+      secret: true, vaultKey: "appSecret", env: "NEST_SECRET_FEISHU_APP_SECRET",
+    }],
+    base: { enabled: true, dmPolicy: "pairing", groupPolicy: "open", requireMention: true },
+    plugin: true,
+    setup: "In the Feishu Open Platform, open Event Subscriptions, select \"Receive events via WebSocket\" and click Save. Then send a message to the bot to start chatting.",
+    check: checkFeishu,
+    access: {
+      user: { label: "Feishu open_id", pattern: /^ou_\w+$/, example: "ou_xxx" },
+      group: { label: "Feishu chat_id", pattern: /^oc_\w+$/, example: "oc_xxx" },
+      mentionPath: ["requireMention"],
+    },
+  },
+  {
+    id: "discord",
+    name: "Discord",
+    fields: [{
+      key: "token", label: "Bot Token", path: ["token"],
+      secret: true, vaultKey: "discordToken", env: "NEST_SECRET_DISCORD_TOKEN", unique: true,
+      pattern: /^[\w-]+\.[\w-]+\.[\w-]+$/, example: "MTA...",
+      hint: "Bot tab of your app in the", link: { text: "Discord Developer Portal", url: "https://discord.com/developers/applications" },
+    }],
+    base: { enabled: true, dmPolicy: "pairing" },
+    plugin: true,
+    setup: "Enable the Message Content intent on the Bot tab, invite the bot to your server, then mention it or send it a DM.",
+    check: checkDiscord,
+  },
+  {
+    id: "slack",
+    name: "Slack",
+    fields: [{
+      key: "botToken", label: "Bot Token", path: ["botToken"],
+      secret: true, vaultKey: "slackBotToken", env: "NEST_SECRET_SLACK_BOT_TOKEN", unique: true,
+      pattern: /^xoxb-/, example: "xoxb-...",
+      hint: "OAuth & Permissions page of your app at", link: { text: "api.slack.com/apps", url: "https://api.slack.com/apps" },
+    }, {
+      key: "appToken", label: "App Token", path: ["appToken"],
+      secret: true, vaultKey: "slackAppToken", env: "NEST_SECRET_SLACK_APP_TOKEN",
+      pattern: /^xapp-/, example: "xapp-...",
+      hint: "An app-level token with connections:write, for Socket Mode",
+    }],
+    base: { enabled: true, mode: "socket", dmPolicy: "pairing" },
+    plugin: true,
+    setup: "Enable Socket Mode and subscribe to the message.im and app_mention bot events, then invite the bot to a channel or send it a DM.",
+    check: checkSlack,
+  },
+  {
+    id: "whatsapp",
+    name: "WhatsApp",
+    fields: [],
+    base: { enabled: true, dmPolicy: "pairing" },
+    plugin: true,
+    setup: "WhatsApp is linked like WhatsApp Web: run \"openclaw channels login\" in the instance and scan the QR code with the phone that should answer.",
+    check: null,
+  },
+  {
+    id: "dingtalk",
+    name: "DingTalk",
+    fields: [{
+      key: "clientId", label: "Client ID (AppKey)", path: ["clientId"],
+      example: "ding...",
+      hint: "Credentials page of your app in the", link: { text: "DingTalk Developer Console", url: "https://open-dev.dingtalk.com" },
+    }, {
+      key: "clientSecret", label: "Client Secret (AppSecret)", path: ["clientSecret"],
+      secret: true, vaultKey: "dingtalkClientSecret", env: "NEST_SECRET_DINGTALK_CLIENT_SECRET", unique: true,
+    }],
+    base: { enabled: true, dmPolicy: "pairing" },
+    plugin: true,
+    setup: "Add a robot to the app with Stream mode as its message receiving mode and publish it, then send it a message.",
+    check: checkDingtalk,
+  },
+];
+
+export var DEFAULT_CHANNEL = "telegram";
+
+/** A channel of the registry, or null. */
+export function findChannel(id) {
+  return CHANNELS.find(function(c) { return c.id === id; }) || null;
+}
+
+/** Channels as shown to clients: metadata only, patterns as regex sources. */
+export function listChannels() {
+  return CHANNELS.map(function(c) {
+    return {
+      id: c.id,
+      name: c.name,
+      setup: c.setup,
+      fields: c.fields.map(function(f) {
+        return {
+          key: f.key,
+          label: f.label,
+          secret: !!f.secret,
+          unique: !!f.unique,
+          pattern: f.pattern ? f.pattern.source : null,
+          placeholder: f.example || f.label,
+          hint: f.hint || null,
+          link: f.link || null,
+        };
+      }),
+      access: c.access ? { user: idFormat(c.access.user), group: idFormat(c.access.group) } : null,
+    };
+  });
+}
+
+function idFormat(kind) {
+  return { label: kind.label, pattern: kind.pattern.source, placeholder: kind.example };
+}
+
+/** Secret fields of all channels, in the shape of secrets.js SECRET_FIELDS. */
+export function channelSecretFields() {
+  var out = [];
+  CHANNELS.forEach(function(c) {
+    c.fields.forEach(function(f) {
+      if (f.secret) out.push({ key: f.vaultKey, path: ["channels", c.id].concat(f.path), env: f.env });
+    });
+  });
+  return out;
+}
+
+function requireChannel(id) {
+  var channel = findChannel(id);
+  if (!channel) throw new Error("Unknown channel: " + id);
+  return channel;
+}
+
+function getPath(obj, path) {
+  var cur = obj;
+  for (var i = 0; i < path.length; i++) {
+    if (!cur || typeof cur !== "object") return undefined;
+    cur = cur[path[i]];
+  }
+  return cur;
+}
+
+function setPath(obj, path, value) {
+  var cur = obj;
+  for (var i = 0; i < path.length - 1; i++) {
+    if (!cur[path[i]] || typeof cur[path[i]] !== "object") cur[path[i]] = {};
+    cur = cur[path[i]];
+  }
+  cur[path[path.length - 1]] = value;
+}
+
+/**
+ * Credentials of a channel picked from a request body: `credentials.<key>`, or
+ * `<key>` at the top level (how the original botToken/appId/appSecret were sent).
+ * Missing fields are left out.
+ */
+export function channelCredentials(channelId, body) {
+  body = body || {};
+  var nested = body.credentials && typeof body.credentials === "object" ? body.credentials : {};
+  var creds = {};
+  requireChannel(channelId).fields.forEach(function(f) {
+    var value = nested[f.key] != null ? nested[f.key] : body[f.key];
+    if (typeof value === "string" && value.trim()) creds[f.key] = value.trim();
+  });
+  return creds;
+}
+
+/**
+ * Channels requested in a create or clone body, as [{ channel, credentials }], first
+ * one primary. Either `channels`, a list of { channel, credentials } or of bare ids
+ * (credentials then come from the body, see channelCredentials), or a single
+ * `channel`; without both, `defaults` (ids, default [DEFAULT_CHANNEL]).
+ * Throws on unknown or repeated channels; credentials are not validated here.
+ */
+export function requestedChannels(body, defaults) {
+  body = body || {};
+  var list;
+  if (body.channels !== undefined) {
+    if (!Array.isArray(body.channels)) throw new Error("channels must be a list");
+    list = body.channels.map(function(entry) {
+      var id = String((entry && typeof entry === "object" ? entry.channel : entry) || "").trim();
+      requireChannel(id);
+      return { channel: id, credentials: channelCredentials(id, typeof entry === "object" ? entry : body) };
+    });
+  } else {
+    var ids = body.channel ? [String(body.channel).trim()] : (defaults || [DEFAULT_CHANNEL]);
+    list = ids.map(function(id) {
+      requireChannel(id);
+      return { channel: id, credentials: channelCredentials(id, body) };
+    });
+  }
+  if (list.length === 0) throw new Error("At least one channel required");
+  list.forEach(function(c, i) {
+    if (list.findIndex(function(other) { return other.channel === c.channel; }) !== i) throw new Error("Channel " + c.channel + " is listed twice");
+  });
+  return list;
+}
+
+/** Ids of the channels of an instance, primary first. Instances from before multi-channel support have `channel` only. */
+export function instanceChannels(meta) {
+  var cfg = meta && meta.config || {};
+  if (Array.isArray(cfg.channels) && cfg.channels.length) return cfg.channels.slice();
+  return [cfg.channel || DEFAULT_CHANNEL];
+}
+
+/** Throw unless every field of the channel is present and well-formed. */
+export function validateCredentials(channelId, creds) {
+  var channel = requireChannel(channelId);
+  channel.fields.forEach(function(f) {
+    var value = creds[f.key];
+    if (!value) throw new Error(channel.name + " " + f.label + " required");
+    if (f.pattern && !f.pattern.test(value)) {
+      throw new Error(channel.name + " " + f.label + " doesn't look right" + (f.example ? " (expected " + f.example + ")" : ""));
+    }
+  });
+}
+
+/** The channels.<id> section of openclaw.json for a set of credentials. */
+export function channelConfig(channelId, creds) {
+  var channel = requireChannel(channelId);
+  var section = JSON.parse(JSON.stringify(channel.base));
+  channel.fields.forEach(function(f) { setPath(section, f.path, creds[f.key] || ""); });
+  return section;
+}
+
+/** Only the credentials given, at their paths: a patch that leaves other channel settings alone. */
+export function credentialPatch(channelId, creds) {
+  var patch = {};
+  requireChannel(channelId).fields.forEach(function(f) {
+    if (creds[f.key]) setPath(patch, f.path, creds[f.key]);
+  });
+  return patch;
+}
+
+/**
+ * Current credentials of an instance's channel: plain fields from its
+ * openclaw.json, secret ones from its vault entry (see getSecrets).
+ */
+export function storedCredentials(channelId, cfg, secrets) {
+  var section = cfg && cfg.channels && cfg.channels[channelId];
+  var creds = {};
+  requireChannel(channelId).fields.forEach(function(f) {
+    var value = f.secret ? secrets[f.vaultKey] : getPath(section, f.path);
+    if (typeof value === "string" && value) creds[f.key] = value;
+  });
+  return creds;
+}
+
+/** Enable the channel's plugin in an openclaw config (mutates cfg). */
+export function enableChannelPlugin(cfg, channelId) {
+  if (!requireChannel(channelId).plugin) return cfg;
+  if (!cfg.plugins) cfg.plugins = {};
+  if (!cfg.plugins.entries) cfg.plugins.entries = {};
+  cfg.plugins.entries[channelId] = { enabled: true };
+  return cfg;
+}
+
+// --- Credential checks: resolve to { status: "pass"|"warn"|"fail", message }, throw when the API is unreachable ---
+
+async function readJson(res) {
+  return res.json().catch(function() { return {}; });
+}
+
+async function checkTelegram(creds, signal) {
+  var res = await fetch("https://api.telegram.org/bot" + creds.botToken + "/getMe", { signal: signal });
+  var body = await readJson(res);
+  if (body.ok) return { status: "pass", message: "Telegram bot @" + body.result.username + " reachable" };
+  if (res.status === 401 || res.status === 404) return { status: "fail", message: "Telegram rejected the bot token" };
+  return { status: "warn", message: "Telegram getMe failed: " + (body.description || "HTTP " + res.status) };
+}
+
+async function checkFeishu(creds, signal) {
+  var res = await fetch("https://open.feishu.cn/open-apis/auth/v3/tenant_access_token/internal", {
+    method: "POST",
+    headers: { "Content-Type": "application/json; charset=utf-8" },
+    body: JSON.stringify({ app_id: creds.appId, app_secret: creds.appSecret }),
+    signal: signal,
+  });
+  var body = await readJson(res);
+  if (body.code === 0 && body.tenant_access_token) return { status: "pass", message: "Feishu app credentials valid" };
+  if (typeof body.code === "number") return { status: "fail", message: "Feishu rejected the app credentials: " + (body.msg || "code " + body.code) };
+  return { status: "warn", message: "Feishu token request failed: HTTP " + res.status };
+}
+
+async function checkDiscord(creds, signal) {
+  var res = await fetch("https://discord.com/api/v10/users/@me", {
+    headers: { Authorization: "Bot " + creds.token },
+    signal: signal,
+  });
+  var body = await readJson(res);
+  if (res.ok && body.username) return { status: "pass", message: "Discord bot " + body.username + " reachable" };
+  if (res.status === 401) return { status: "fail", message: "Discord rejected the bot token" };
+  return { status: "warn", message: "Discord users/@me failed: " + (body.message || "HTTP " + res.status) };
+}
+
+async function checkSlack(creds, signal) {
+  var res = await fetch("https://slack.com/api/auth.test", {
+    method: "POST",
+    headers: { Authorization: "Bearer " + creds.botToken },
+    signal: signal,
+  });
+  var body = await readJson(res);
+  if (body.ok) return { status: "pass", message: "Slack bot " + body.user + " reachable in " + body.team };
+  if (/^(invalid_auth|not_authed|account_inactive|token_revoked)$/.test(body.error)) {
+    return { status: "fail", message: "Slack rejected the bot token: " + body.error };
+  }
+  return { status: "warn", message: "Slack auth.test failed: " + (body.error || "HTTP " + res.status) };
+}
+
+async function checkDingtalk(creds, signal) {
+  var res = await fetch("https://api.dingtalk.com/v1.0/oauth2/accessToken", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ appKey: creds.clientId, appSecret: creds.clientSecret }),
+    signal: signal,
+  });
+  var body = await readJson(res);
+  if (body.accessToken) return { status: "pass", message: "DingTalk app credentials valid" };
+  if (res.status >= 400 && res.status < 500) return { status: "fail", message: "DingTalk rejected the app credentials: " + (body.message || "HTTP " + res.status) };
+  return { status: "warn", message: "DingTalk token request failed: HTTP " + res.status };
+}
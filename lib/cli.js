@@ -0,0 +1,426 @@
+import { parseArgs } from "node:util";
+import { join } from "node:path";
+import { userInfo } from "node:os";
+import { readInstanceConfig, validateInstanceName } from "./configure.js";
+import { findModel, findProvider, defaultModel } from "./providers.js";
+import { getInstance, getAllInstances, getNestDir } from "./store.js";
+import { describeInstance, getInstancesList, updateInstanceModel } from "./instances.js";
+import { recordAudit, diffConfig } from "./audit.js";
+import { loadFleetFile, planFleet, applyFleet, publicPlan, formatPlan } from "./fleet.js";
+import { subscribe, startStatusMonitor } from "./events.js";
+import { checkInstanceHealth } from "./health.js";
+import { upgradeInstances, MAX_UPGRADE_TIMEOUT } from "./upgrade.js";
+import { DEFAULT_CHANNEL, findChannel, listChannels, validateCredentials, instanceChannels } from "./channels.js";
+
+export var CLI_COMMANDS = ["list", "create", "start", "stop", "restart", "rm", "logs", "config", "apply", "events", "health", "upgrade"];
+var MUTATING_COMMANDS = ["create", "start", "stop", "restart", "rm", "config"];
+
+// Exit codes
+var EXIT_OK = 0;
+var EXIT_FAIL = 1;
+var EXIT_USAGE = 2;
+
+// Channel credentials are passed as --<field-key> in kebab case, e.g. --bot-token, or
+// prefixed with the channel (--slack-bot-token) when two channels share a key
+function credentialFlag(key, channel) {
+  return "--" + (channel ? channel + "-" : "") + key.replace(/[A-Z]/g, function(c) { return "-" + c.toLowerCase(); });
+}
+
+var CHANNEL_USAGE = listChannels().map(function(c) {
+  var flags = c.fields.map(function(f) { return credentialFlag(f.key) + (f.secret ? " <secret>" : " <value>"); });
+  return "  " + c.id.padEnd(30) + (flags.join(" ") || "(no credentials)");
+});
+
+var USAGE = [
+  "Usage: openclaw-nest <command> [options]",
+  "",
+  "Commands:",
+  "  list                          List instances with live status",
+  "  create <id> --api-key <key>   Create and deploy an instance",
+  "         [--model <id>] [--channel <id>[,<id>...]] [--port <n>]",
+  "         [channel credentials, see below]",
+  "         [--memory <size>] [--cpus <n>] [--pids <n>]  (Docker limits)",
+  "         [--openclaw-version <v>] [--image <ref>]  (pin the runtime)",
+  "  start <id>                    Start an instance",
+  "  stop <id>                     Stop an instance",
+  "  restart <id>                  Restart an instance",
+  "  rm <id>                       Remove an instance and its data",
+  "  logs <id> [--tail <n>] [--follow]",
+  "                                Print instance logs",
+  "  config <id> [--model <id>]    Show config, or switch the model",
+  "         [--api-key <key>]       (needed when the model has another provider)",
+  "  apply [file] [--dry-run] [--prune]",
+  "                                Converge instances to a fleet file",
+  "                                (default: nest.fleet.json / nest.fleet.yaml)",
+  "  events                        Watch instance status changes until Ctrl+C",
+  "  health <id>                   Run deep health checks (exit 1 when down)",
+  "  upgrade <id...>|--all --openclaw-version <v> [--image <ref>] [--timeout <s>]",
+  "                                Upgrade one at a time, rolling back on failure",
+  "",
+  "Global options:",
+  "  --engine docker|process       Force engine type",
+  "  --json                        Machine-readable output",
+  "",
+  "Channel credentials (create):",
+].concat(CHANNEL_USAGE, [
+  "  (prefix a flag with the channel, e.g. --slack-bot-token, when two channels share it)",
+]).join("\n");
+
+var OPTIONS = {
+  "json": { type: "boolean" },
+  "engine": { type: "string" },
+  "api-key": { type: "string" },
+  "model": { type: "string" },
+  "channel": { type: "string" },
+  "port": { type: "string" },
+  "memory": { type: "string" },
+  "cpus": { type: "string" },
+  "pids": { type: "string" },
+  "openclaw-version": { type: "string" },
+  "image": { type: "string" },
+  "all": { type: "boolean" },
+  "timeout": { type: "string" },
+  "tail": { type: "string" },
+  "follow": { type: "boolean" },
+  "dry-run": { type: "boolean" },
+  "prune": { type: "boolean" },
+  "help": { type: "boolean", short: "h" },
+};
+listChannels().forEach(function(c) {
+  c.fields.forEach(function(f) {
+    OPTIONS[credentialFlag(f.key).slice(2)] = { type: "string" };
+    OPTIONS[credentialFlag(f.key, c.id).slice(2)] = { type: "string" };
+  });
+});
+
+class UsageError extends Error {}
+
+/** Return the subcommand in argv, or null when running the web server. */
+export function findCliCommand(argv) {
+  // Non-strict parse so option values (e.g. "--engine docker") aren't taken as the command
+  var first = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: false }).positionals[0];
+  if (first && CLI_COMMANDS.indexOf(first) !== -1) return first;
+  return null;
+}
+
+function requireId(positionals) {
+  var id = positionals[1];
+  if (!id) throw new UsageError("Missing instance id");
+  if (!getInstance(id)) throw new Error("Instance \"" + id + "\" not found");
+  return id;
+}
+
+function isValidName(name) {
+  try {
+    validateInstanceName(name);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function printTable(instances) {
+  if (instances.length === 0) {
+    console.log("No instances.");
+    return;
+  }
+  var rows = [["ID", "ENGINE", "PORT", "STATUS", "MODEL", "CHANNEL"]];
+  instances.forEach(function(inst) {
+    rows.push([
+      inst.id, inst.engine, String(inst.port || ""), inst.status,
+      inst.config.modelId || "", instanceChannels(inst).join(","),
+    ]);
+  });
+  var widths = rows[0].map(function(_, col) {
+    return Math.max.apply(null, rows.map(function(r) { return r[col].length; }));
+  });
+  rows.forEach(function(r) {
+    console.log(r.map(function(cell, col) { return cell.padEnd(widths[col]); }).join("  ").trimEnd());
+  });
+}
+
+async function cmdCreate(engine, positionals, values) {
+  var id = positionals[1];
+  if (!id) throw new UsageError("Missing instance id");
+  var apiKey = (values["api-key"] || "").trim();
+
+  var channels = (values.channel || DEFAULT_CHANNEL).split(",").map(function(c) { return c.trim(); });
+  channels.forEach(function(channel) {
+    if (!findChannel(channel)) throw new UsageError("Unknown channel: " + channel);
+  });
+  var modelId = values.model || defaultModel().id;
+  var model = findModel(modelId);
+  if (!model) throw new UsageError("Unknown model: " + modelId);
+  if (!apiKey && findProvider(model.provider).apiKeyRequired) throw new UsageError("--api-key is required for " + model.provider + " models");
+
+  var port = 0;
+  if (values.port) {
+    port = parseInt(values.port, 10);
+    if (isNaN(port) || port < 1 || port > 65535) throw new UsageError("Invalid port number: " + values.port);
+  }
+
+  var deployConfig = {
+    apiKey: apiKey,
+    modelId: modelId,
+    channels: channels.map(function(channel) {
+      var credentials = {};
+      var missing = [];
+      findChannel(channel).fields.forEach(function(f) {
+        var value = (values[credentialFlag(f.key, channel).slice(2)] || values[credentialFlag(f.key).slice(2)] || "").trim();
+        if (value) credentials[f.key] = value;
+        else missing.push(credentialFlag(f.key));
+      });
+      if (missing.length) throw new UsageError(missing.join(" and ") + (missing.length > 1 ? " are" : " is") + " required for " + channel);
+      try { validateCredentials(channel, credentials); } catch (err) {
+        throw new UsageError(err.message);
+      }
+      return { channel: channel, credentials: credentials };
+    }),
+  };
+
+  var limits = { memory: values.memory, cpus: values.cpus, pids: values.pids };
+  var runtime = { version: values["openclaw-version"], image: values.image };
+  await engine.create(id, Object.assign({ port: port, limits: limits, runtime: runtime }, deployConfig));
+
+  // Progress goes to stderr so stdout stays parseable
+  var handle = engine.deployStream(id, deployConfig, function(pct, msg) {
+    console.error("[" + String(pct).padStart(3) + "%] " + msg);
+  });
+  process.once("SIGINT", function() { handle.abort(); });
+  await handle.promise;
+
+  return describeInstance(id, getInstance(id), await engine.status(id), engine);
+}
+
+async function cmdApply(engine, positionals, values, actor, json) {
+  var fleet = loadFleetFile(positionals[1]);
+  var plan = await planFleet(engine, fleet, { prune: !!values.prune });
+  if (!json) console.log(formatPlan(plan));
+  if (values["dry-run"] || plan.steps.length === 0) return { plan: publicPlan(plan), applied: false };
+
+  // Audit entries are written per step by applyFleet
+  var results = await applyFleet(engine, plan, {
+    actor: actor,
+    onProgress: function(id, pct, msg) {
+      console.error("[" + id + " " + String(pct).padStart(3) + "%] " + msg);
+    },
+  });
+  if (!json) {
+    results.forEach(function(r) {
+      console.log(r.outcome.padEnd(8) + r.action.padEnd(8) + r.instance + (r.error ? "  " + r.error : ""));
+    });
+  }
+  var failed = results.filter(function(r) { return r.outcome === "failure"; }).length;
+  if (failed) {
+    var err = new Error(failed + " step(s) failed");
+    err.result = { plan: publicPlan(plan), applied: true, results: results };
+    throw err;
+  }
+  return { plan: publicPlan(plan), applied: true, results: results };
+}
+
+async function cmdUpgrade(engine, positionals, values, actor, json) {
+  var ids = values.all ? Object.keys(getAllInstances()) : positionals.slice(1);
+  if (ids.length === 0) throw new UsageError("Give instance ids or --all");
+  ids.forEach(function(id) { if (!getInstance(id)) throw new Error("Instance \"" + id + "\" not found"); });
+  if (!values["openclaw-version"] && !values.image) throw new UsageError("--openclaw-version or --image is required");
+  var timeout;
+  if (values.timeout) {
+    timeout = Number(values.timeout);
+    if (!Number.isFinite(timeout) || timeout < 10 || timeout > MAX_UPGRADE_TIMEOUT) {
+      throw new UsageError("Invalid --timeout value: " + values.timeout + " (10 to " + MAX_UPGRADE_TIMEOUT + " seconds)");
+    }
+  }
+
+  // Audit entries are written per instance by upgradeInstances
+  var results = await upgradeInstances(engine, ids, { version: values["openclaw-version"], image: values.image }, {
+    timeout: timeout,
+    actor: actor,
+    onProgress: function(id, msg) { console.error("[" + id + "] " + msg); },
+  });
+  if (!json) {
+    results.forEach(function(r) {
+      console.log(r.outcome.padEnd(12) + r.instance + (r.error ? "  " + r.error : ""));
+    });
+  }
+  var failed = results.filter(function(r) { return r.outcome === "rolled-back" || r.outcome === "failed"; }).length;
+  if (failed) {
+    var err = new Error(failed + " instance(s) failed to upgrade");
+    err.result = { results: results };
+    throw err;
+  }
+  return { results: results };
+}
+
+async function cmdEvents(engine, json) {
+  var monitor = startStatusMonitor(engine);
+  var unsubscribe = subscribe(function(event) {
+    if (json) {
+      console.log(JSON.stringify(event));
+      return;
+    }
+    var extra = Object.keys(event).filter(function(k) {
+      return ["id", "ts", "type", "instance"].indexOf(k) === -1;
+    }).map(function(k) { return k + "=" + JSON.stringify(event[k]); });
+    console.log([event.ts, event.type, event.instance || "-"].concat(extra).join("  "));
+  });
+  // The monitor's timer doesn't hold the process open
+  var keepAlive = setInterval(function() {}, 1 << 30);
+  await new Promise(function(resolve) { process.once("SIGINT", resolve); });
+  clearInterval(keepAlive);
+  unsubscribe();
+  monitor.stop();
+}
+
+async function cmdLogs(engine, id, values) {
+  var tail = values.tail ? parseInt(values.tail, 10) : 200;
+  if (isNaN(tail) || tail < 1) throw new UsageError("Invalid --tail value: " + values.tail);
+
+  var stream = await engine.logs(id, { tail: tail, follow: !!values.follow });
+  if (!stream) throw new Error("No logs available");
+
+  await new Promise(function(resolve, reject) {
+    process.once("SIGINT", function() {
+      if (stream.destroy) stream.destroy();
+      resolve();
+    });
+    stream.on("data", function(chunk) { process.stdout.write(chunk); });
+    stream.on("end", resolve);
+    stream.on("close", resolve);
+    stream.on("error", reject);
+  });
+}
+
+/**
+ * Run a headless subcommand against the engine.
+ * @param {string[]} argv - process.argv.slice(2)
+ * @param {import("./engine/interface.js").InstanceEngine} engine
+ * @returns {Promise<number>} process exit code
+ */
+export async function runCli(argv, engine) {
+  var parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    console.error(err.message + "\n\n" + USAGE);
+    return EXIT_USAGE;
+  }
+  var values = parsed.values;
+  var positionals = parsed.positionals;
+  var command = positionals[0];
+  var json = !!values.json;
+
+  if (values.help) {
+    console.log(USAGE);
+    return EXIT_OK;
+  }
+
+  function output(data, text) {
+    if (json) console.log(JSON.stringify(data, null, 2));
+    else if (text) console.log(text);
+  }
+
+  // Mutating commands go to the same audit log as the web API
+  var target = positionals[1] || null;
+  var auditable = MUTATING_COMMANDS.indexOf(command) !== -1 && !!target &&
+    !(command === "config" && !values.model);
+  // Only a valid name may become a path; commands reject the rest and the failure is still audited
+  var cfgDir = target && isValidName(target) ? join(getNestDir(), "instances", target) : null;
+  var before = auditable && cfgDir ? readInstanceConfig(cfgDir) : null;
+  var actor = "cli";
+  try { actor = "cli:" + userInfo().username; } catch { /* no passwd entry */ }
+  function audit(err) {
+    if (!auditable) return;
+    var entry = { actor: actor, ip: null, action: "CLI " + command, instance: target, outcome: err ? "failure" : "success" };
+    if (err) entry.error = err.message;
+    var changes = diffConfig(before, cfgDir ? readInstanceConfig(cfgDir) : null);
+    if (changes.length) entry.changes = changes;
+    recordAudit(entry);
+  }
+
+  try {
+    var id;
+    switch (command) {
+      case "list": {
+        var instances = await getInstancesList(engine);
+        if (json) output(instances);
+        else printTable(instances);
+        break;
+      }
+      case "create": {
+        var created = await cmdCreate(engine, positionals, values);
+        output(created, "Instance \"" + created.id + "\" deployed on port " + created.port);
+        break;
+      }
+      case "start":
+        id = requireId(positionals);
+        await engine.start(id);
+        output({ success: true, id: id }, "Started " + id);
+        break;
+      case "stop":
+        id = requireId(positionals);
+        await engine.stop(id);
+        output({ success: true, id: id }, "Stopped " + id);
+        break;
+      case "restart":
+        id = requireId(positionals);
+        await engine.stop(id);
+        await engine.start(id);
+        output({ success: true, id: id }, "Restarted " + id);
+        break;
+      case "rm":
+        id = requireId(positionals);
+        await engine.remove(id);
+        output({ success: true, id: id }, "Removed " + id);
+        break;
+      case "logs":
+        id = requireId(positionals);
+        await cmdLogs(engine, id, values);
+        break;
+      case "config": {
+        id = requireId(positionals);
+        if (values.model) await updateInstanceModel(engine, id, values.model, (values["api-key"] || "").trim());
+        var meta = getInstance(id);
+        var cfg = meta.config || {};
+        output(Object.assign({ id: id }, cfg),
+          Object.keys(cfg).map(function(k) { return k + ": " + cfg[k]; }).join("\n"));
+        break;
+      }
+      case "events":
+        await cmdEvents(engine, json);
+        break;
+      case "health": {
+        id = requireId(positionals);
+        var report = await checkInstanceHealth(engine, id);
+        output(report, report.checks.map(function(c) {
+          return c.status.toUpperCase().padEnd(6) + c.name.padEnd(9) + c.message;
+        }).concat(["", id + " is " + report.verdict]).join("\n"));
+        if (report.verdict === "down") return EXIT_FAIL;
+        break;
+      }
+      case "upgrade": {
+        var upgraded = await cmdUpgrade(engine, positionals, values, actor, json);
+        if (json) output(upgraded);
+        break;
+      }
+      case "apply": {
+        var applied = await cmdApply(engine, positionals, values, actor, json);
+        if (json) output(applied);
+        break;
+      }
+      default:
+        throw new UsageError("Unknown command: " + command);
+    }
+  } catch (err) {
+    if (err instanceof UsageError) {
+      console.error(err.message + "\n\n" + USAGE);
+      return EXIT_USAGE;
+    }
+    audit(err);
+    if (json) console.log(JSON.stringify(Object.assign({ error: err.message }, err.result)));
+    else console.error("Error: " + err.message);
+    return EXIT_FAIL;
+  }
+  audit(null);
+  return EXIT_OK;
+}
@@ -0,0 +1,246 @@
+/**
+ * JSON Schema of the openclaw.json sections Nest generates, and a validator for
+ * the subset of keywords it uses (type, properties, additionalProperties, required,
+ * items, enum, minimum, maximum, minLength). Keys the schema doesn't mention are
+ * allowed, so settings of newer OpenClaw versions can still be edited.
+ */
+
+var COST = {
+  type: "object",
+  properties: {
+    input: { type: "number", minimum: 0 },
+    output: { type: "number", minimum: 0 },
+    cacheRead: { type: "number", minimum: 0 },
+    cacheWrite: { type: "number", minimum: 0 },
+  },
+};
+
+var MODEL = {
+  type: "object",
+  required: ["id"],
+  properties: {
+    id: { type: "string", minLength: 1 },
+    name: { type: "string" },
+    reasoning: { type: "boolean" },
+    input: { type: "array", items: { type: "string", enum: ["text", "image"] } },
+    cost: COST,
+    contextWindow: { type: "integer", minimum: 1 },
+    maxTokens: { type: "integer", minimum: 1 },
+  },
+};
+
+var PROVIDER = {
+  type: "object",
+  required: ["baseUrl", "models"],
+  properties: {
+    api: { type: "string", minLength: 1 },
+    baseUrl: { type: "string", minLength: 1 },
+    apiKey: { type: "string" },
+    models: { type: "array", items: MODEL },
+  },
+};
+
+var DM_POLICY = { type: "string", enum: ["pairing", "allowlist", "open", "disabled"] };
+var GROUP_POLICY = { type: "string", enum: ["open", "allowlist", "disabled"] };
+
+export var OPENCLAW_SCHEMA = {
+  type: "object",
+  properties: {
+    models: {
+      type: "object",
+      properties: {
+        providers: { type: "object", additionalProperties: PROVIDER },
+      },
+    },
+    agents: {
+      type: "object",
+      properties: {
+        defaults: {
+          type: "object",
+          properties: {
+            model: {
+              type: "object",
+              required: ["primary"],
+              properties: {
+                primary: { type: "string", minLength: 1 },
+                fallbacks: { type: "array", items: { type: "string", minLength: 1 } },
+              },
+            },
+            workspace: { type: "string" },
+          },
+        },
+      },
+    },
+    gateway: {
+      type: "object",
+      properties: {
+        port: { type: "integer", minimum: 1, maximum: 65535 },
+        bind: { type: "string" },
+        mode: { type: "string" },
+        auth: { type: "object" },
+      },
+    },
+    channels: {
+      type: "object",
+      properties: {
+        telegram: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            botToken: { type: "string" },
+            dmPolicy: DM_POLICY,
+            allowFrom: { type: "array", items: { type: ["string", "integer"] } },
+            groupPolicy: GROUP_POLICY,
+            groups: { type: "object" },
+          },
+        },
+        feishu: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            dmPolicy: DM_POLICY,
+            allowFrom: { type: "array", items: { type: "string" } },
+            groupPolicy: GROUP_POLICY,
+            requireMention: { type: "boolean" },
+            groups: { type: "object" },
+            accounts: {
+              type: "object",
+              additionalProperties: {
+                type: "object",
+                properties: { appId: { type: "string" }, appSecret: { type: "string" } },
+              },
+            },
+          },
+        },
+        discord: {
+          type: "object",
+          properties: { enabled: { type: "boolean" }, token: { type: "string" }, dmPolicy: DM_POLICY },
+        },
+        slack: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            mode: { type: "string", enum: ["socket", "http"] },
+            botToken: { type: "string" },
+            appToken: { type: "string" },
+            dmPolicy: DM_POLICY,
+          },
+        },
+        whatsapp: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            dmPolicy: DM_POLICY,
+            allowFrom: { type: "array", items: { type: "string" } },
+          },
+        },
+        dingtalk: {
+          type: "object",
+          properties: {
+            enabled: { type: "boolean" },
+            clientId: { type: "string" },
+            clientSecret: { type: "string" },
+            dmPolicy: DM_POLICY,
+          },
+        },
+      },
+    },
+    plugins: {
+      type: "object",
+      properties: {
+        entries: {
+          type: "object",
+          additionalProperties: { type: "object", properties: { enabled: { type: "boolean" } } },
+        },
+      },
+    },
+  },
+};
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  var actual = typeOf(value);
+  return (Array.isArray(type) ? type : [type]).some(function(t) {
+    return t === actual || (t === "number" && actual === "integer");
+  });
+}
+
+/**
+ * Validate a value against a schema.
+ * @returns {Array<{ path: string, message: string }>} empty if valid
+ */
+export function validateSchema(value, schema, path) {
+  path = path || "";
+  var where = path || "(root)";
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path: where, message: "must be " + [].concat(schema.type).join(" or ") }];
+  }
+  var errors = [];
+  if (schema.enum && schema.enum.indexOf(value) === -1) {
+    errors.push({ path: where, message: "must be one of " + schema.enum.join(", ") });
+  }
+  if (schema.minimum != null && typeof value === "number" && value < schema.minimum) {
+    errors.push({ path: where, message: "must be at least " + schema.minimum });
+  }
+  if (schema.maximum != null && typeof value === "number" && value > schema.maximum) {
+    errors.push({ path: where, message: "must be at most " + schema.maximum });
+  }
+  if (schema.minLength != null && typeof value === "string" && value.length < schema.minLength) {
+    errors.push({ path: where, message: "must not be empty" });
+  }
+  if (schema.items && Array.isArray(value)) {
+    value.forEach(function(item, i) {
+      errors = errors.concat(validateSchema(item, schema.items, path + "[" + i + "]"));
+    });
+  }
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    (schema.required || []).forEach(function(key) {
+      if (value[key] === undefined) errors.push({ path: where, message: "is missing " + key });
+    });
+    Object.keys(value).forEach(function(key) {
+      var sub = schema.properties && schema.properties[key];
+      if (!sub && schema.additionalProperties && typeof schema.additionalProperties === "object") sub = schema.additionalProperties;
+      if (!sub && schema.additionalProperties === false) {
+        errors.push({ path: where, message: "has unknown key " + key });
+        return;
+      }
+      if (sub) errors = errors.concat(validateSchema(value[key], sub, path ? path + "." + key : key));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate an openclaw.json: the schema, plus model refs in agents.defaults.model,
+ * which have to name a model of their provider when models.providers defines it
+ * (other providers may be built into OpenClaw).
+ * @returns {Array<{ path: string, message: string }>} empty if valid
+ */
+export function validateOpenclawConfig(cfg) {
+  var errors = validateSchema(cfg, OPENCLAW_SCHEMA);
+  if (errors.length) return errors;
+  var providers = cfg.models && cfg.models.providers || {};
+  var model = cfg.agents && cfg.agents.defaults && cfg.agents.defaults.model;
+  if (!model) return errors;
+  function check(ref, path) {
+    var slash = ref.indexOf("/");
+    if (slash === -1) {
+      errors.push({ path: path, message: "must be <provider>/<model>" });
+      return;
+    }
+    var provider = providers[ref.slice(0, slash)];
+    var name = ref.slice(slash + 1);
+    if (provider && !provider.models.some(function(m) { return m.id === name; })) {
+      errors.push({ path: path, message: name + " is not a model of models.providers." + ref.slice(0, slash) });
+    }
+  }
+  check(model.primary, "agents.defaults.model.primary");
+  (model.fallbacks || []).forEach(function(ref, i) { check(ref, "agents.defaults.model.fallbacks[" + i + "]"); });
+  return errors;
+}
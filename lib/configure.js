@@ -1,6 +1,11 @@
 import { writeFileSync, mkdirSync, existsSync, readFileSync } from "node:fs";
 import { createConnection } from "node:net";
-import { join } from "node:path";
+import { createHash } from "node:crypto";
+import { join, basename } from "node:path";
+import { sealConfig } from "./secrets.js";
+import { recordRevision } from "./history.js";
+import { findModel, findProvider, defaultModel } from "./providers.js";
+import { channelConfig } from "./channels.js";
 
 export function validateInstanceName(name) {
   if (!name || name === "default") return;
@@ -8,15 +13,6 @@ export function validateInstanceName(name) {
   if (!/^[a-zA-Z0-9_-]+$/.test(name)) throw new Error("Instance name can only contain letters, numbers, hyphens and underscores");
 }
 
-export var MODEL_CATALOG = [
-  { id: "claude-opus-4-6", name: "Claude Opus 4.6", api: "anthropic-messages" },
-  { id: "claude-opus-4-5-20251101", name: "Claude Opus 4.5", api: "anthropic-messages" },
-  { id: "claude-sonnet-4-5-20250929", name: "Claude Sonnet 4.5", api: "anthropic-messages" },
-  { id: "claude-haiku-4-5-20251001", name: "Claude Haiku 4.5", api: "anthropic-messages" },
-  { id: "claude-opus-4-1-20250805", name: "Claude Opus 4.1", api: "anthropic-messages" },
-  { id: "claude-sonnet-4-20250514", name: "Claude Sonnet 4", api: "anthropic-messages" },
-];
-
 export function checkPort(port) {
   return new Promise(function(resolve) {
     var sock = createConnection({ host: "127.0.0.1", port: port }, function() {
@@ -28,34 +24,61 @@ export function checkPort(port) {
   });
 }
 
-export function generateConfig(apiKey, modelId, channel, channelCreds, port) {
-  var model = MODEL_CATALOG.find(function(m) { return m.id === modelId; }) || MODEL_CATALOG[0];
+var ZERO_COST = { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 };
+
+/**
+ * The models.providers entries serving an instance's primary model and its fallbacks,
+ * and the agents.defaults.model refs to them. Model params (see normalizeModelParams)
+ * override the catalog for the primary model. apiKey goes on the primary's provider
+ * and is left out when empty (keyless providers such as a local Ollama).
+ * @returns {{ providers: object, model: { primary: string, fallbacks?: string[] } }}
+ */
+export function modelConfig(model, apiKey, params) {
+  params = params || {};
+  var providers = {};
+  function serve(m, overrides) {
+    var provider = findProvider(m.provider);
+    if (!provider) throw new Error("Unknown provider: " + m.provider);
+    if (!providers[provider.id]) providers[provider.id] = { api: provider.api, baseUrl: provider.baseUrl, models: [] };
+    providers[provider.id].models.push({
+      id: m.model,
+      name: m.name,
+      reasoning: overrides.reasoning != null ? overrides.reasoning : !!m.reasoning,
+      input: ["text"],
+      cost: Object.assign({}, overrides.cost || ZERO_COST),
+      contextWindow: m.contextWindow,
+      maxTokens: overrides.maxTokens || m.maxTokens,
+    });
+    return provider.id + "/" + m.model;
+  }
+
+  var ref = { primary: serve(model, params) };
+  if (apiKey) providers[model.provider].apiKey = apiKey;
+  var fallbacks = (params.fallbacks || []).map(function(id) {
+    var fallback = findModel(id);
+    if (!fallback) throw new Error("Unknown model: " + id);
+    return serve(fallback, {});
+  });
+  if (fallbacks.length) ref.fallbacks = fallbacks;
+  return { providers: providers, model: ref };
+}
+
+/**
+ * Build the openclaw.json of a new instance.
+ * @param {Array<{ channel: string, credentials: object }>} channels - credentials keyed by
+ *   the channel's fields (see channels.js)
+ * @param {object} [modelParams] - { fallbacks, maxTokens, reasoning, cost }, already validated
+ */
+export function generateConfig(apiKey, modelId, channels, port, modelParams) {
+  var model = findModel(modelId) || defaultModel();
+  var served = modelConfig(model, apiKey, modelParams);
   var config = {
     models: {
-      providers: {
-        anthropic: {
-          api: "anthropic-messages",
-          baseUrl: "https://direct.evolink.ai",
-          apiKey: apiKey,
-          models: [
-            {
-              id: model.id,
-              name: model.name,
-              reasoning: false,
-              input: ["text"],
-              cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 },
-              contextWindow: 200000,
-              maxTokens: 8192,
-            },
-          ],
-        },
-      },
+      providers: served.providers,
     },
     agents: {
       defaults: {
-        model: {
-          primary: "anthropic/" + model.id,
-        },
+        model: served.model,
       },
     },
     gateway: {
@@ -63,31 +86,11 @@ export function generateConfig(apiKey, modelId, channel, channelCreds, port) {
     },
   };
 
-  // Channel-specific config
-  if (channel === "telegram") {
-    config.channels = {
-      telegram: {
-        enabled: true,
-        botToken: channelCreds.botToken,
-        dmPolicy: "pairing",
-        groups: { "*": { requireMention: true } },
-      },
-    };
-  } else if (channel === "feishu") {
-    config.channels = {
-      feishu: {
-        enabled: true,
-        dmPolicy: "pairing",
-        groupPolicy: "open",
-        requireMention: true,
-        accounts: {
-          main: {
-            appId: channelCreds.appId,
-            appSecret: channelCreds.appSecret,
-          },
-        },
-      },
-    };
+  if (channels && channels.length) {
+    config.channels = {};
+    channels.forEach(function(c) {
+      config.channels[c.channel] = channelConfig(c.channel, c.credentials || {});
+    });
   }
 
   return config;
@@ -114,10 +117,13 @@ export function deepMerge(target, source) {
 
 /**
  * Write openclaw config to a directory.
+ * Secrets are moved to the vault and replaced by ${ENV} references (see secrets.js).
+ * A changed file is recorded as a config revision (see history.js).
  * @param {string} dir - Instance data directory
  * @param {object} configData - openclaw.json content
+ * @param {string} [reason] - why, for the revision
  */
-export function writeInstanceConfig(dir, configData) {
+export function writeInstanceConfig(dir, configData, reason) {
   if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
   var cfgPath = join(dir, "openclaw.json");
 
@@ -126,11 +132,37 @@ export function writeInstanceConfig(dir, configData) {
     try { existing = JSON.parse(readFileSync(cfgPath, "utf-8")); } catch { /* fresh start */ }
   }
 
-  var merged = deepMerge(existing, configData);
+  var merged = sealConfig(basename(dir), deepMerge(existing, configData));
   writeFileSync(cfgPath, JSON.stringify(merged, null, 2), "utf-8");
+  recordRevision(basename(dir), merged, reason);
   return cfgPath;
 }
 
+/**
+ * Replace openclaw config in a directory with the given content (no merge).
+ * Secrets are sealed and the revision recorded like in writeInstanceConfig.
+ */
+export function replaceInstanceConfig(dir, configData, reason) {
+  if (!existsSync(dir)) mkdirSync(dir, { recursive: true });
+  var cfgPath = join(dir, "openclaw.json");
+  var sealed = sealConfig(basename(dir), JSON.parse(JSON.stringify(configData)));
+  writeFileSync(cfgPath, JSON.stringify(sealed, null, 2), "utf-8");
+  recordRevision(basename(dir), sealed, reason);
+  return cfgPath;
+}
+
+/**
+ * ETag of the openclaw config in a directory: a hash of the file as stored.
+ * @returns {string|null} null if there is no config
+ */
+export function configEtag(dir) {
+  try {
+    return "\"" + createHash("sha256").update(readFileSync(join(dir, "openclaw.json"))).digest("hex").slice(0, 32) + "\"";
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Read openclaw config from a directory.
  * @param {string} dir - Instance data directory
@@ -1,15 +1,20 @@
 import Docker from "dockerode";
 import { InstanceEngine } from "./interface.js";
-import { existsSync, mkdirSync, writeFileSync, readFileSync } from "node:fs";
+import { existsSync, mkdirSync, readFileSync } from "node:fs";
 import { join } from "node:path";
 import { createConnection } from "node:net";
 import { PassThrough } from "node:stream";
-import { getNestDir, getInstance, saveInstance, removeInstance, nextAvailablePort } from "../store.js";
+import { getNestDir, getInstance, saveInstance, updateInstance, removeInstance, nextAvailablePort } from "../store.js";
 import { generateConfig, writeInstanceConfig, readInstanceConfig, deepMerge, checkPort, validateInstanceName } from "../configure.js";
+import { deleteHistory } from "../history.js";
+import { enableChannelPlugin } from "../channels.js";
+import { secretEnv, deleteSecrets, getRegistryAuth } from "../secrets.js";
+import { normalizeRestartPolicy } from "./supervisor.js";
+import { normalizeLimits, effectiveLimits, dockerResources, checkQuota } from "../limits.js";
+import { normalizeRuntime, runtimeImage, registryHost } from "../runtime.js";
 
 var IS_WIN = process.platform === "win32";
 var CONTAINER_PREFIX = "oc-";
-var OC_IMAGE = "pharmacist9527/openclaw-runtime:latest";
 
 function getDocker() {
   if (IS_WIN) {
@@ -39,6 +44,24 @@ async function detectNestNetwork(docker) {
   return null;
 }
 
+/**
+ * Pull an image, with the stored credentials of its registry if there are any.
+ * onEvent gets each progress event of the pull.
+ */
+function pullImage(docker, image, onEvent) {
+  var auth = getRegistryAuth(registryHost(image));
+  var opts = auth ? { authconfig: { username: auth.username, password: auth.password, serveraddress: registryHost(image) } } : {};
+  return new Promise(function(resolve, reject) {
+    docker.pull(image, opts, function(err, stream) {
+      if (err) return reject(err);
+      docker.modem.followProgress(stream, function(err2) {
+        if (err2) return reject(err2);
+        resolve();
+      }, onEvent);
+    });
+  });
+}
+
 /** Safely stop a container — ignores 304 "already stopped" and 404 "not found". */
 async function safeStop(container, opts) {
   try {
@@ -50,12 +73,12 @@ async function safeStop(container, opts) {
 }
 
 /**
- * Check if a container's internal port is reachable.
+ * Resolve where a container's internal port can be reached.
  * When Nest runs inside Docker, we can't use localhost:hostPort.
- * Instead, get the container's IP on the bridge network and check the internal port.
+ * Instead, use the container's IP on the bridge network and the internal port.
  * Falls back to localhost:hostPort for non-Docker Nest environments.
  */
-async function checkContainerPort(docker, containerId, internalPort, hostPort) {
+async function containerAddress(docker, containerId, internalPort, hostPort) {
   try {
     var info = await docker.getContainer(containerId).inspect();
     var networks = info.NetworkSettings.Networks;
@@ -70,11 +93,15 @@ async function checkContainerPort(docker, containerId, internalPort, hostPort) {
         }
       }
     }
-    if (ip) {
-      return checkPortAddr(ip, internalPort);
-    }
+    if (ip) return { host: ip, port: internalPort };
   } catch { /* fallback */ }
-  return checkPort(hostPort);
+  return { host: "127.0.0.1", port: hostPort };
+}
+
+/** Check if a container's internal port is reachable. */
+async function checkContainerPort(docker, containerId, internalPort, hostPort) {
+  var addr = await containerAddress(docker, containerId, internalPort, hostPort);
+  return checkPortAddr(addr.host, addr.port);
 }
 
 function checkPortAddr(host, port) {
@@ -111,6 +138,83 @@ function containerName(instanceId) {
   return CONTAINER_PREFIX + instanceId;
 }
 
+/** Vault secrets as Docker "KEY=value" env entries. */
+function secretEnvList(instanceId) {
+  var env = secretEnv(instanceId);
+  return Object.keys(env).sort().map(function(k) { return k + "=" + env[k]; });
+}
+
+/** Whether a container was created with the instance's current secrets. */
+function hasCurrentSecrets(info, instanceId) {
+  var have = (info.Config && info.Config.Env) || [];
+  return secretEnvList(instanceId).every(function(entry) { return have.indexOf(entry) !== -1; });
+}
+
+/**
+ * Map an instance restart policy to Docker's. Without one, containers use
+ * unless-stopped; "always" also maps to unless-stopped so a stop from Nest sticks.
+ */
+function dockerRestartPolicy(meta) {
+  if (!meta.restartPolicy) return { Name: "unless-stopped" };
+  var policy = normalizeRestartPolicy(meta.restartPolicy);
+  if (policy.name === "on-failure") return { Name: "on-failure", MaximumRetryCount: policy.maxRetries };
+  if (policy.name === "always") return { Name: "unless-stopped" };
+  return { Name: "no" };
+}
+
+/** Whether a container was created with the instance's current resource limits. */
+function hasCurrentLimits(info, meta) {
+  var want = dockerResources(effectiveLimits(meta));
+  var have = info.HostConfig || {};
+  return (have.Memory || 0) === want.Memory && (have.NanoCpus || 0) === want.NanoCpus &&
+    Math.max(have.PidsLimit || 0, 0) === want.PidsLimit;
+}
+
+/**
+ * Create the instance container from its runtime image, with the openclaw state
+ * dir mounted, vault secrets passed as env and resource limits applied, then
+ * join it to Nest's network.
+ */
+async function createInstanceContainer(docker, instanceId, port, restartPolicy) {
+  var meta = getInstance(instanceId);
+  // openclaw is pre-installed in the runtime image, so only onboard + start
+  var container = await docker.createContainer({
+    Image: runtimeImage(meta),
+    name: containerName(instanceId),
+    Cmd: ["sh", "-c",
+      // Only run onboard if not yet done (marker file tracks completion)
+      "if [ ! -f /root/.openclaw/.onboard-done ]; then " +
+      "openclaw onboard --flow quickstart --accept-risk " +
+      "--skip-skills --skip-channels --skip-ui --skip-health " +
+      "--non-interactive --gateway-port 28789 && " +
+      "touch /root/.openclaw/.onboard-done && " +
+      "echo '=== NEST_ONBOARD_DONE ==='; " +
+      "fi && " +
+      "exec openclaw gateway run --port 28789 --bind lan --allow-unconfigured"
+    ],
+    Env: secretEnvList(instanceId),
+    ExposedPorts: { "28789/tcp": {} },
+    HostConfig: Object.assign({
+      Binds: [hostInstanceDir(instanceId) + ":/root/.openclaw"],
+      PortBindings: {
+        "28789/tcp": [{ HostPort: String(port) }],
+      },
+      RestartPolicy: restartPolicy,
+    }, dockerResources(effectiveLimits(meta))),
+    WorkingDir: "/root",
+  });
+
+  // Connect instance container to Nest's network (for port checking)
+  var nestNet = await detectNestNetwork(docker);
+  if (nestNet) {
+    try {
+      var network = docker.getNetwork(nestNet);
+      await network.connect({ Container: container.id });
+    } catch { /* ignore — will fall back to host port check */ }
+  }
+  return container;
+}
+
 export class DockerEngine extends InstanceEngine {
   get type() { return "docker"; }
 
@@ -119,26 +223,21 @@ export class DockerEngine extends InstanceEngine {
 
     var meta = getInstance(instanceId);
     if (meta) throw new Error("Instance \"" + instanceId + "\" already exists");
+    var limits = normalizeLimits(config.limits);
+    var runtime = normalizeRuntime(config.runtime, "docker");
+    checkQuota({ engineType: "docker", limits: effectiveLimits({ limits: limits }) });
 
     var port = config.port || nextAvailablePort();
     var dir = instanceDataDir(instanceId);
     mkdirSync(dir, { recursive: true });
 
-    // Generate and write openclaw config
-    var channelCreds = {};
-    if (config.channel === "telegram") channelCreds.botToken = config.botToken || "";
-    else if (config.channel === "feishu") {
-      channelCreds.appId = config.appId || "";
-      channelCreds.appSecret = config.appSecret || "";
-    }
-
-    var ocConfig = generateConfig(config.apiKey, config.modelId, config.channel, channelCreds, port);
+    var ocConfig = generateConfig(config.apiKey, config.modelId, config.channels, port, config.modelParams);
 
     // For Docker: gateway listens on 28789 inside container, mapped to host port
     ocConfig.gateway.port = 28789;
     // Don't set bind here — onboard validates config strictly.
     // bind will be set in the final config after onboard completes.
-    writeInstanceConfig(dir, ocConfig);
+    writeInstanceConfig(dir, ocConfig, "create");
 
     // Save metadata (port is host-side)
     saveInstance(instanceId, {
@@ -149,8 +248,12 @@ export class DockerEngine extends InstanceEngine {
       pid: null,
       config: {
         modelId: config.modelId,
-        channel: config.channel,
+        modelParams: config.modelParams || null,
+        channel: config.channels[0].channel,
+        channels: config.channels.map(function(c) { return c.channel; }),
       },
+      limits: limits,
+      runtime: runtime,
       createdAt: new Date().toISOString(),
       status: "stopped",
     });
@@ -160,6 +263,7 @@ export class DockerEngine extends InstanceEngine {
 
   /**
    * Deploy stream: install openclaw in container, run onboard, start gateway.
+   * config.baseConfig (cloning) is laid over the onboarded config.
    */
   deployStream(instanceId, config, onProgress) {
     var aborted = false;
@@ -172,26 +276,18 @@ export class DockerEngine extends InstanceEngine {
       var docker = getDocker();
       var port = meta.port;
       var dir = instanceDataDir(instanceId);
-      var hostDir = hostInstanceDir(instanceId);
       var name = containerName(instanceId);
 
       // Ensure image exists (first pull may take a while for the pre-built image)
-      onProgress(5, "Pulling runtime image...");
+      var image = runtimeImage(meta);
+      onProgress(5, "Pulling runtime image " + image + "...");
       var pullPct = 5;
       try {
-        await new Promise(function(resolve, reject) {
-          docker.pull(OC_IMAGE, function(err, stream) {
-            if (err) return reject(err);
-            docker.modem.followProgress(stream, function(err2) {
-              if (err2) return reject(err2);
-              resolve();
-            }, function(event) {
-              if (event.status) {
-                if (pullPct < 20) pullPct++;
-                onProgress(pullPct, event.status + (event.progress ? " " + event.progress : ""));
-              }
-            });
-          });
+        await pullImage(docker, image, function(event) {
+          if (event.status) {
+            if (pullPct < 20) pullPct++;
+            onProgress(pullPct, event.status + (event.progress ? " " + event.progress : ""));
+          }
         });
       } catch (pullErr) {
         onProgress(12, "Warning: pull failed, trying local image: " + pullErr.message);
@@ -209,48 +305,14 @@ export class DockerEngine extends InstanceEngine {
 
       onProgress(20, "Creating container...");
 
-      // Create container with openclaw state dir mounted
-      // openclaw is pre-installed in the runtime image, so only onboard + start
-      var container = await docker.createContainer({
-        Image: OC_IMAGE,
-        name: name,
-        Cmd: ["sh", "-c",
-          // Only run onboard if not yet done (marker file tracks completion)
-          "if [ ! -f /root/.openclaw/.onboard-done ]; then " +
-          "openclaw onboard --flow quickstart --accept-risk " +
-          "--skip-skills --skip-channels --skip-ui --skip-health " +
-          "--non-interactive --gateway-port 28789 && " +
-          "touch /root/.openclaw/.onboard-done && " +
-          "echo '=== NEST_ONBOARD_DONE ==='; " +
-          "fi && " +
-          "exec openclaw gateway run --port 28789 --bind lan --allow-unconfigured"
-        ],
-        ExposedPorts: { "28789/tcp": {} },
-        HostConfig: {
-          Binds: [hostDir + ":/root/.openclaw"],
-          PortBindings: {
-            "28789/tcp": [{ HostPort: String(port) }],
-          },
-          RestartPolicy: { Name: "" },
-        },
-        WorkingDir: "/root",
-      });
-
+      // Restart policy is only enabled once the deploy has fully succeeded
+      var container = await createInstanceContainer(docker, instanceId, port, { Name: "" });
       currentContainer = container;
       var containerId = container.id;
 
-      // Connect instance container to Nest's network (for port checking)
-      var nestNet = await detectNestNetwork(docker);
-      if (nestNet) {
-        try {
-          var network = docker.getNetwork(nestNet);
-          await network.connect({ Container: containerId });
-        } catch { /* ignore — will fall back to host port check */ }
-      }
-
       // Update metadata with container ID
       meta.containerId = containerId;
-      saveInstance(instanceId, meta);
+      updateInstance(instanceId, { containerId: containerId });
 
       onProgress(25, "Starting container...");
       await container.start();
@@ -303,30 +365,18 @@ export class DockerEngine extends InstanceEngine {
 
       // Apply final config (models, channels, plugins, gateway bind)
       try {
-        var channelCreds = {};
-        if (config.channel === "telegram") channelCreds.botToken = config.botToken || "";
-        else if (config.channel === "feishu") {
-          channelCreds.appId = config.appId || "";
-          channelCreds.appSecret = config.appSecret || "";
-        }
-
-        var generated = generateConfig(config.apiKey, config.modelId, config.channel, channelCreds, 28789);
+        var generated = generateConfig(config.apiKey, config.modelId, config.channels, 28789, config.modelParams);
         var postOnboard = readInstanceConfig(dir) || {};
-        var finalCfg = deepMerge(postOnboard, generated);
+        // Clones onboard like new instances, then take the source's config over
+        var finalCfg = deepMerge(deepMerge(postOnboard, config.baseConfig || {}), generated);
 
         if (!finalCfg.gateway) finalCfg.gateway = {};
         finalCfg.gateway.bind = "lan";
         finalCfg.gateway.mode = "remote";
 
-        if (!finalCfg.plugins) finalCfg.plugins = {};
-        if (!finalCfg.plugins.entries) finalCfg.plugins.entries = {};
-        if (config.channel === "telegram") {
-          finalCfg.plugins.entries.telegram = { enabled: true };
-        } else if (config.channel === "feishu") {
-          finalCfg.plugins.entries.feishu = { enabled: true };
-        }
+        config.channels.forEach(function(c) { enableChannelPlugin(finalCfg, c.channel); });
 
-        writeInstanceConfig(dir, finalCfg);
+        writeInstanceConfig(dir, finalCfg, config.baseConfig ? "clone" : "onboarding");
       } catch (cfgErr) {
         onProgress(85, "Warning: config error: " + cfgErr.message);
       }
@@ -356,11 +406,10 @@ export class DockerEngine extends InstanceEngine {
 
       // Set restart policy now that deploy is truly successful
       try {
-        await container.update({ RestartPolicy: { Name: "unless-stopped" } });
+        await container.update({ RestartPolicy: dockerRestartPolicy(meta) });
       } catch { /* ignore */ }
 
-      meta.status = "running";
-      saveInstance(instanceId, meta);
+      updateInstance(instanceId, { status: "running" });
 
       onProgress(100, "Done — gateway is running");
       return { port: port };
@@ -381,21 +430,42 @@ export class DockerEngine extends InstanceEngine {
     var meta = getInstance(instanceId);
     if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
 
+    // Migrate any plaintext secrets left in openclaw.json into the vault
+    var dir = instanceDataDir(instanceId);
+    if (existsSync(join(dir, "openclaw.json"))) writeInstanceConfig(dir, {}, "start");
+
     var docker = getDocker();
     var name = containerName(instanceId);
 
     try {
       var container = docker.getContainer(meta.containerId || name);
-      var info = await container.inspect();
-      if (!info.State.Running) {
+      var info = null;
+      try {
+        info = await container.inspect();
+      } catch (inspErr) {
+        if (inspErr.statusCode !== 404) throw inspErr;
+      }
+      if (!info) {
+        // No container yet (restored from backup): onboarding is already done in the state dir
+        container = await createInstanceContainer(docker, instanceId, meta.port, dockerRestartPolicy(meta));
+        meta.containerId = container.id;
+        await container.start();
+      } else if (!hasCurrentSecrets(info, instanceId) || !hasCurrentLimits(info, meta) || info.Config.Image !== runtimeImage(meta)) {
+        // Secrets only live in the container env, a limit can't be lifted with
+        // container.update and the image is fixed at creation, so recreate it
+        if (info.State.Running) await safeStop(container, { t: 10 });
+        await container.remove({ force: true });
+        container = await createInstanceContainer(docker, instanceId, meta.port, dockerRestartPolicy(meta));
+        meta.containerId = container.id;
+        await container.start();
+      } else if (!info.State.Running) {
         await container.start();
       }
     } catch (err) {
       throw new Error("Failed to start container: " + err.message);
     }
 
-    meta.status = "running";
-    saveInstance(instanceId, meta);
+    updateInstance(instanceId, { containerId: meta.containerId, status: "running" });
   }
 
   async stop(instanceId) {
@@ -413,8 +483,7 @@ export class DockerEngine extends InstanceEngine {
       }
     } catch { /* already stopped */ }
 
-    meta.status = "stopped";
-    saveInstance(instanceId, meta);
+    updateInstance(instanceId, { status: "stopped" });
   }
 
   async remove(instanceId) {
@@ -441,6 +510,19 @@ export class DockerEngine extends InstanceEngine {
     }
 
     removeInstance(instanceId);
+    deleteSecrets(instanceId);
+    deleteHistory(instanceId);
+  }
+
+  async adopt(instanceId) {
+    // Container is created on first start(); just make sure the image is present
+    var docker = getDocker();
+    var image = runtimeImage(getInstance(instanceId));
+    try {
+      await docker.getImage(image).inspect();
+    } catch {
+      await pullImage(docker, image);
+    }
   }
 
   async status(instanceId) {
@@ -455,17 +537,11 @@ export class DockerEngine extends InstanceEngine {
       var info = await container.inspect();
       var newStatus = info.State.Running ? "running" : "stopped";
 
-      if (meta.status !== newStatus) {
-        meta.status = newStatus;
-        saveInstance(instanceId, meta);
-      }
+      if (meta.status !== newStatus) updateInstance(instanceId, { status: newStatus });
       return newStatus;
     } catch {
       // Container doesn't exist
-      if (meta.status !== "stopped") {
-        meta.status = "stopped";
-        saveInstance(instanceId, meta);
-      }
+      if (meta.status !== "stopped") updateInstance(instanceId, { status: "stopped" });
       return "stopped";
     }
   }
@@ -484,7 +560,7 @@ export class DockerEngine extends InstanceEngine {
     if (!existing.includes(telegramId)) existing.push(telegramId);
     cfg.channels.telegram.allowFrom = existing;
 
-    writeFileSync(cfgPath, JSON.stringify(cfg, null, 2), "utf-8");
+    writeInstanceConfig(dir, cfg, "connect Telegram user " + telegramId);
 
     // Restart container to pick up config change
     var meta = getInstance(instanceId);
@@ -546,6 +622,111 @@ export class DockerEngine extends InstanceEngine {
     return checkContainerPort(docker, meta.containerId || containerName(instanceId), 28789, meta.port);
   }
 
+  async stats(instanceId) {
+    var meta = getInstance(instanceId);
+    if (!meta || !meta.containerId) return null;
+    var container = getDocker().getContainer(meta.containerId);
+    var info, stats;
+    try {
+      info = await container.inspect();
+      if (!info.State.Running) return null;
+      stats = await container.stats({ stream: false });
+    } catch (err) {
+      if (err.statusCode === 404) return null;
+      throw err;
+    }
+    // Same formula as `docker stats`: share of host CPU time, scaled to cores
+    var cpu = stats.cpu_stats || {};
+    var precpu = stats.precpu_stats || {};
+    var cpuDelta = (cpu.cpu_usage && cpu.cpu_usage.total_usage || 0) - (precpu.cpu_usage && precpu.cpu_usage.total_usage || 0);
+    var systemDelta = (cpu.system_cpu_usage || 0) - (precpu.system_cpu_usage || 0);
+    var cpus = cpu.online_cpus || (cpu.cpu_usage && cpu.cpu_usage.percpu_usage || []).length || 1;
+    var mem = stats.memory_stats || {};
+    // Page cache isn't counted (cgroup v1: total_inactive_file, v2: inactive_file)
+    var cache = mem.stats ? (mem.stats.total_inactive_file || mem.stats.inactive_file || 0) : 0;
+    return {
+      cpuPercent: cpuDelta > 0 && systemDelta > 0 ? Math.round(cpuDelta / systemDelta * cpus * 1000) / 10 : 0,
+      memoryBytes: Math.max((mem.usage || 0) - cache, 0),
+      memoryLimitBytes: mem.limit || null,
+      startedAt: info.State.StartedAt || null,
+      restarts: info.RestartCount || 0,
+    };
+  }
+
+  async gatewayAddress(instanceId) {
+    var meta = getInstance(instanceId);
+    if (!meta) return null;
+    return containerAddress(getDocker(), meta.containerId || containerName(instanceId), 28789, meta.port);
+  }
+
+  async setRestartPolicy(instanceId, policy) {
+    var meta = getInstance(instanceId);
+    if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
+    meta.restartPolicy = normalizeRestartPolicy(policy);
+    updateInstance(instanceId, { restartPolicy: meta.restartPolicy });
+    try {
+      var container = getDocker().getContainer(meta.containerId || containerName(instanceId));
+      await container.update({ RestartPolicy: dockerRestartPolicy(meta) });
+    } catch (err) {
+      // No container yet: the policy is applied when one is created
+      if (err.statusCode !== 404) throw err;
+    }
+    return meta.restartPolicy;
+  }
+
+  async setLimits(instanceId, limits) {
+    var meta = getInstance(instanceId);
+    if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
+    limits = normalizeLimits(limits);
+    var effective = effectiveLimits({ limits: limits });
+    checkQuota({ engineType: "docker", limits: effective, excludeId: instanceId });
+    meta = updateInstance(instanceId, { limits: limits }) || meta;
+
+    var restartRequired = false;
+    try {
+      var container = getDocker().getContainer(meta.containerId || containerName(instanceId));
+      var info = await container.inspect();
+      var want = dockerResources(effective);
+      var update = { PidsLimit: want.PidsLimit || -1 };
+      if (want.Memory) { update.Memory = want.Memory; update.MemorySwap = want.MemorySwap; }
+      if (want.NanoCpus) update.NanoCpus = want.NanoCpus;
+      await container.update(update);
+      // Memory and CPU caps can be changed live but not removed
+      restartRequired = (!want.Memory && !!info.HostConfig.Memory) || (!want.NanoCpus && !!info.HostConfig.NanoCpus);
+    } catch (err) {
+      // No container yet: the limits are applied when one is created
+      if (err.statusCode !== 404) throw err;
+    }
+    return { limits: limits, effective: effective, restartRequired: restartRequired };
+  }
+
+  async setRuntime(instanceId, runtime, onProgress) {
+    var meta = getInstance(instanceId);
+    if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
+    runtime = normalizeRuntime(runtime, "docker");
+    var image = runtimeImage({ runtime: runtime });
+    var docker = getDocker();
+    // Pull before switching so a bad tag or missing credentials leave the instance as it was
+    try {
+      await pullImage(docker, image, function(event) {
+        if (onProgress && event.status) onProgress(event.status + (event.progress ? " " + event.progress : ""));
+      });
+    } catch (err) {
+      throw new Error("Cannot pull " + image + ": " + err.message);
+    }
+    updateInstance(instanceId, { runtime: runtime });
+
+    var restartRequired = false;
+    try {
+      var info = await docker.getContainer(meta.containerId || containerName(instanceId)).inspect();
+      // start() recreates the container from the new image
+      restartRequired = info.Config.Image !== image;
+    } catch (err) {
+      if (err.statusCode !== 404) throw err;
+    }
+    return { runtime: runtime, image: image, restartRequired: restartRequired };
+  }
+
   /** Get Docker daemon info */
   async info() {
     var docker = getDocker();
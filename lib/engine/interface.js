@@ -6,7 +6,9 @@ export class InstanceEngine {
   /**
    * Create a new instance with the given config.
    * @param {string} instanceId
-   * @param {object} config - { apiKey, modelId, channel, channelCreds, port }
+   * @param {object} config - { apiKey, modelId, modelParams, channels, port, limits }
+   *   modelParams: fallbacks and generation params of the model (see providers.js);
+   *   limits: resource limits (see limits.js), checked against the nest quota
    * @returns {Promise<{ port: number }>}
    */
   async create(instanceId, config) {
@@ -40,6 +42,16 @@ export class InstanceEngine {
     throw new Error("Not implemented: remove");
   }
 
+  /**
+   * Prepare the runtime for an instance whose state dir was restored from a backup
+   * (metadata saved, no container/daemon yet). Does not start it.
+   * @param {string} instanceId
+   * @returns {Promise<void>}
+   */
+  async adopt(instanceId) {
+    throw new Error("Not implemented: adopt");
+  }
+
   /**
    * Get instance status.
    * @param {string} instanceId
@@ -76,6 +88,67 @@ export class InstanceEngine {
     throw new Error("Not implemented: health");
   }
 
+  /**
+   * Address the gateway of an instance answers on, as seen from Nest (for HTTP probes).
+   * @param {string} instanceId
+   * @returns {Promise<{ host: string, port: number }|null>}
+   */
+  async gatewayAddress(instanceId) {
+    throw new Error("Not implemented: gatewayAddress");
+  }
+
+  /**
+   * Set the resource limits of an instance, applying them to the running runtime where possible.
+   * Throws if the nest quota would be exceeded.
+   * @param {string} instanceId
+   * @param {object} limits - { memory, cpus, pids }; null inherits the default, 0 is unlimited
+   * @returns {Promise<{ limits: object, effective: object, restartRequired: boolean }>}
+   */
+  async setLimits(instanceId, limits) {
+    throw new Error("Not implemented: setLimits");
+  }
+
+  /**
+   * Pin the OpenClaw an instance runs, fetching it first (image pull or npm install)
+   * so a bad version leaves the instance unchanged. Takes effect on the next start.
+   * @param {string} instanceId
+   * @param {object} runtime - { version, image }; image is Docker only, null = default
+   * @param {function(string)} [onProgress] - pull/install output lines
+   * @returns {Promise<{ runtime: object, restartRequired: boolean }>}
+   */
+  async setRuntime(instanceId, runtime, onProgress) {
+    throw new Error("Not implemented: setRuntime");
+  }
+
+  /**
+   * Resource usage of a running instance.
+   * @param {string} instanceId
+   * @returns {Promise<{ cpuPercent: number, memoryBytes: number, memoryLimitBytes: number|null,
+   *   startedAt: string|null, restarts: number }|null>} null when the instance isn't running
+   */
+  async stats(instanceId) {
+    throw new Error("Not implemented: stats");
+  }
+
+  /**
+   * Set the restart policy of an instance.
+   * @param {string} instanceId
+   * @param {object} policy - { name: "no"|"on-failure"|"always", maxRetries }
+   * @returns {Promise<object>} the normalized policy
+   */
+  async setRestartPolicy(instanceId, policy) {
+    throw new Error("Not implemented: setRestartPolicy");
+  }
+
+  /**
+   * Start watching instances and restarting crashed ones (long-running server only).
+   * Engines whose runtime restarts instances itself don't need to override this.
+   * @returns {NodeJS.Timeout|null}
+   */
+  supervise() {
+    return null;
+  }
+
   /**
    * Engine type identifier.
    * @returns {string} "docker" | "process"
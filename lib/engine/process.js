@@ -1,10 +1,18 @@
 import { InstanceEngine } from "./interface.js";
-import { spawn, execFileSync } from "node:child_process";
-import { existsSync, mkdirSync, rmSync, readFileSync, writeFileSync } from "node:fs";
+import { spawn, execFile, execFileSync } from "node:child_process";
+import { existsSync, mkdirSync, rmSync, readFileSync, openSync, readSync, closeSync, statSync } from "node:fs";
 import { join } from "node:path";
 import { Readable } from "node:stream";
-import { getNestDir, getInstance, saveInstance, removeInstance, nextAvailablePort } from "../store.js";
+import { promisify } from "node:util";
+import { getNestDir, getInstance, saveInstance, updateInstance, removeInstance, nextAvailablePort } from "../store.js";
 import { generateConfig, writeInstanceConfig, readInstanceConfig, deepMerge, checkPort, validateInstanceName } from "../configure.js";
+import { deleteHistory } from "../history.js";
+import { enableChannelPlugin } from "../channels.js";
+import { secretEnv, deleteSecrets } from "../secrets.js";
+import { startSupervisor, normalizeRestartPolicy } from "./supervisor.js";
+import { findListenerPid, sampleProcessTree, cpuPercent } from "./procstat.js";
+import { normalizeLimits, checkQuota } from "../limits.js";
+import { normalizeRuntime, openclawBin, isVersionInstalled, installVersion } from "../runtime.js";
 
 var IS_WIN = process.platform === "win32";
 
@@ -12,9 +20,12 @@ function instanceDir(instanceId) {
   return join(getNestDir(), "instances", instanceId);
 }
 
-/** Build env with OPENCLAW_STATE_DIR pointing to instance dir. No --profile needed. */
+/**
+ * Build env with OPENCLAW_STATE_DIR pointing to instance dir. No --profile needed.
+ * Vault secrets are materialized here, never on disk.
+ */
 function instanceEnv(instanceId) {
-  return Object.assign({}, process.env, {
+  return Object.assign({}, process.env, secretEnv(instanceId), {
     OPENCLAW_STATE_DIR: instanceDir(instanceId),
   });
 }
@@ -23,6 +34,31 @@ function execSafe(cmd, args, opts) {
   return execFileSync(cmd, args, Object.assign({ stdio: "ignore", timeout: 15000, shell: IS_WIN }, opts || {}));
 }
 
+var execFileAsync = promisify(execFile);
+
+/** Process instances pin a version (installed by npm), not an image. */
+function processRuntime(runtime) {
+  runtime = normalizeRuntime(runtime);
+  if (runtime.image) throw new Error("Runtime images require the Docker engine (use a version instead)");
+  return runtime;
+}
+
+// instanceId -> { pid, at, sample }, the previous /proc sample for CPU deltas
+var lastSamples = new Map();
+
+/** Last non-empty line of the gateway log, for crash reports. */
+function lastLogLine(instanceId) {
+  var logFile = join(instanceDir(instanceId), "gateway.log");
+  if (!existsSync(logFile)) return "";
+  var size = statSync(logFile).size;
+  var len = Math.min(size, 4096);
+  var buf = Buffer.alloc(len);
+  var fd = openSync(logFile, "r");
+  try { readSync(fd, buf, 0, len, size - len); } finally { closeSync(fd); }
+  var lines = buf.toString("utf-8").split("\n").map(function(l) { return l.trim(); }).filter(Boolean);
+  return lines.length ? lines[lines.length - 1].slice(0, 300) : "";
+}
+
 export class ProcessEngine extends InstanceEngine {
   get type() { return "process"; }
 
@@ -31,21 +67,17 @@ export class ProcessEngine extends InstanceEngine {
 
     var meta = getInstance(instanceId);
     if (meta) throw new Error("Instance \"" + instanceId + "\" already exists");
+    var limits = normalizeLimits(config.limits);
+    if (limits.memory || limits.cpus || limits.pids) throw new Error("Resource limits require the Docker engine");
+    var runtime = processRuntime(config.runtime);
+    checkQuota({ engineType: "process", limits: limits });
 
     var port = config.port || nextAvailablePort();
     var dir = instanceDir(instanceId);
     mkdirSync(dir, { recursive: true });
 
-    // Generate and write openclaw config
-    var channelCreds = {};
-    if (config.channel === "telegram") channelCreds.botToken = config.botToken || "";
-    else if (config.channel === "feishu") {
-      channelCreds.appId = config.appId || "";
-      channelCreds.appSecret = config.appSecret || "";
-    }
-
-    var ocConfig = generateConfig(config.apiKey, config.modelId, config.channel, channelCreds, port);
-    writeInstanceConfig(dir, ocConfig);
+    var ocConfig = generateConfig(config.apiKey, config.modelId, config.channels, port, config.modelParams);
+    writeInstanceConfig(dir, ocConfig, "create");
 
     // Save metadata
     saveInstance(instanceId, {
@@ -56,8 +88,11 @@ export class ProcessEngine extends InstanceEngine {
       pid: null,
       config: {
         modelId: config.modelId,
-        channel: config.channel,
+        modelParams: config.modelParams || null,
+        channel: config.channels[0].channel,
+        channels: config.channels.map(function(c) { return c.channel; }),
       },
+      runtime: runtime,
       createdAt: new Date().toISOString(),
       status: "stopped",
     });
@@ -67,20 +102,36 @@ export class ProcessEngine extends InstanceEngine {
 
   /**
    * Run the full deploy stream (onboard + configure) with progress callbacks.
+   * config.baseConfig (cloning) is laid over the onboarded config.
    * Returns { promise, abort }.
    */
   deployStream(instanceId, config, onProgress) {
     var child = null;
-    var promise = new Promise(function(resolve, reject) {
+    var install = null;
+    var pinned = getInstance(instanceId);
+    var version = pinned && pinned.runtime && pinned.runtime.version;
+    var ready = Promise.resolve();
+    if (version && !isVersionInstalled(version)) {
+      onProgress(12, "Installing openclaw@" + version + "...");
+      install = installVersion(version, function(line) {
+        onProgress(12, line.length > 60 ? line.slice(0, 60) + "..." : line);
+      });
+      ready = install.promise;
+    }
+
+    var promise = ready.then(function() { return new Promise(function(resolve, reject) {
       var meta = getInstance(instanceId);
       if (!meta) {
         return reject(new Error("Instance \"" + instanceId + "\" not found"));
       }
 
+      var bin = openclawBin(meta);
       var port = meta.port;
       var dir = instanceDir(instanceId);
       var env = instanceEnv(instanceId);
 
+      var pct = 15;
+
       onProgress(15, "Running onboarding...");
       var args = [
         "onboard", "--install-daemon", "--flow", "quickstart", "--accept-risk",
@@ -88,13 +139,12 @@ export class ProcessEngine extends InstanceEngine {
         "--non-interactive", "--gateway-port", String(port)
       ];
 
-      child = spawn("openclaw", args, {
+      child = spawn(bin, args, {
         stdio: ["ignore", "pipe", "pipe"],
         shell: IS_WIN,
         env: env,
       });
 
-      var pct = 15;
       var maxOnboard = 80;
 
       function tick(line) {
@@ -112,7 +162,13 @@ export class ProcessEngine extends InstanceEngine {
         d.toString().split("\n").forEach(function(l) { if (l.trim()) tick(l.trim()); });
       });
 
-      child.on("close", function(code) {
+      child.on("close", finish);
+
+      child.on("error", function(err) {
+        reject(new Error("Failed to start onboarding: " + err.message));
+      });
+
+      function finish(code) {
         if (code !== 0) {
           onProgress(pct, "Onboarding failed");
           return reject(new Error("Onboarding failed (exit " + code + ")"));
@@ -120,34 +176,22 @@ export class ProcessEngine extends InstanceEngine {
 
         onProgress(85, "Applying final configuration...");
         try {
-          var channelCreds = {};
-          if (config.channel === "telegram") channelCreds.botToken = config.botToken || "";
-          else if (config.channel === "feishu") {
-            channelCreds.appId = config.appId || "";
-            channelCreds.appSecret = config.appSecret || "";
-          }
-
-          var generated = generateConfig(config.apiKey, config.modelId, config.channel, channelCreds, port);
+          var generated = generateConfig(config.apiKey, config.modelId, config.channels, port, config.modelParams);
           var postOnboard = readInstanceConfig(dir) || {};
-          var finalCfg = deepMerge(postOnboard, generated);
+          // Clones onboard like new instances, then take the source's config over
+          var finalCfg = deepMerge(deepMerge(postOnboard, config.baseConfig || {}), generated);
 
           // Fix plugin entries
-          if (!finalCfg.plugins) finalCfg.plugins = {};
-          if (!finalCfg.plugins.entries) finalCfg.plugins.entries = {};
-          if (config.channel === "telegram") {
-            finalCfg.plugins.entries.telegram = { enabled: true };
-          } else if (config.channel === "feishu") {
-            finalCfg.plugins.entries.feishu = { enabled: true };
-          }
-
-          writeInstanceConfig(dir, finalCfg);
+          config.channels.forEach(function(c) { enableChannelPlugin(finalCfg, c.channel); });
+
+          writeInstanceConfig(dir, finalCfg, config.baseConfig ? "clone" : "onboarding");
         } catch (cfgErr) {
           onProgress(85, "Warning: failed to apply final config: " + cfgErr.message);
         }
 
         onProgress(92, "Restarting gateway...");
         try {
-          execFileSync("openclaw", ["gateway", "restart"], {
+          execFileSync(bin, ["gateway", "restart"], {
             stdio: "ignore", timeout: 15000, shell: IS_WIN, env: env,
           });
         } catch (restartErr) {
@@ -155,20 +199,19 @@ export class ProcessEngine extends InstanceEngine {
         }
 
         // Update metadata
-        saveInstance(instanceId, Object.assign({}, meta, { status: "running" }));
+        updateInstance(instanceId, { status: "running", desiredState: "running" });
 
         onProgress(100, "Done");
         resolve({ port: port });
-      });
-
-      child.on("error", function(err) {
-        reject(new Error("Failed to start onboarding: " + err.message));
-      });
-    });
+      }
+    }); });
 
     return {
       promise: promise,
-      abort: function() { if (child && !child.killed) child.kill(); },
+      abort: function() {
+        if (install) install.abort();
+        if (child && !child.killed) child.kill();
+      },
     };
   }
 
@@ -176,22 +219,28 @@ export class ProcessEngine extends InstanceEngine {
     var meta = getInstance(instanceId);
     if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
 
-    execSafe("openclaw", ["gateway", "start", "--port", String(meta.port)], {
+    // Migrate any plaintext secrets left in openclaw.json into the vault
+    var dir = instanceDir(instanceId);
+    if (existsSync(join(dir, "openclaw.json"))) writeInstanceConfig(dir, {}, "start");
+
+    execSafe(openclawBin(meta), ["gateway", "start", "--port", String(meta.port)], {
       env: instanceEnv(instanceId),
     });
 
-    saveInstance(instanceId, Object.assign({}, meta, { status: "running" }));
+    updateInstance(instanceId, { status: "running", desiredState: "running" });
   }
 
   async stop(instanceId) {
     var meta = getInstance(instanceId);
     if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
 
+    // Tell the supervisor first so it doesn't restart the gateway we're stopping
+    updateInstance(instanceId, { desiredState: "stopped" });
     try {
-      execSafe("openclaw", ["gateway", "stop"], { env: instanceEnv(instanceId) });
+      execSafe(openclawBin(meta), ["gateway", "stop"], { env: instanceEnv(instanceId) });
     } catch { /* may already be stopped */ }
 
-    saveInstance(instanceId, Object.assign({}, meta, { status: "stopped" }));
+    updateInstance(instanceId, { status: "stopped" });
   }
 
   async remove(instanceId) {
@@ -203,7 +252,7 @@ export class ProcessEngine extends InstanceEngine {
 
     // Uninstall daemon
     try {
-      execSafe("openclaw", ["gateway", "uninstall"], { env: instanceEnv(instanceId) });
+      execSafe(openclawBin(meta), ["gateway", "uninstall"], { env: instanceEnv(instanceId) });
     } catch { /* ignore */ }
 
     // Remove data directory
@@ -212,8 +261,21 @@ export class ProcessEngine extends InstanceEngine {
       rmSync(dir, { recursive: true, force: true });
     }
 
-    // Remove metadata
+    // Remove metadata and secrets
     removeInstance(instanceId);
+    deleteSecrets(instanceId);
+    deleteHistory(instanceId);
+  }
+
+  async adopt(instanceId) {
+    var meta = getInstance(instanceId);
+    if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
+    // A restored instance may pin a version this host doesn't have yet
+    var version = meta.runtime && meta.runtime.version;
+    if (version) await installVersion(version).promise;
+    execSafe(openclawBin(meta), ["gateway", "install", "--port", String(meta.port)], {
+      env: instanceEnv(instanceId),
+    });
   }
 
   async status(instanceId) {
@@ -221,12 +283,11 @@ export class ProcessEngine extends InstanceEngine {
     if (!meta) return "unknown";
 
     var running = await checkPort(meta.port);
-    var newStatus = running ? "running" : "stopped";
+    // Down while it should be up means it crashed (the supervisor may be restarting it)
+    var newStatus = running ? "running" : meta.desiredState === "running" ? "error" : "stopped";
 
     // Sync status if changed
-    if (meta.status !== newStatus) {
-      saveInstance(instanceId, Object.assign({}, meta, { status: newStatus }));
-    }
+    if (meta.status !== newStatus) updateInstance(instanceId, { status: newStatus });
 
     return newStatus;
   }
@@ -248,11 +309,11 @@ export class ProcessEngine extends InstanceEngine {
     if (!existing.includes(telegramId)) existing.push(telegramId);
     config.channels.telegram.allowFrom = existing;
 
-    writeFileSync(cfgPath, JSON.stringify(config, null, 2), "utf-8");
+    writeInstanceConfig(dir, config, "connect Telegram user " + telegramId);
 
     // Restart gateway to apply
     try {
-      execSafe("openclaw", ["gateway", "restart"], { env: instanceEnv(instanceId) });
+      execSafe(openclawBin(getInstance(instanceId)), ["gateway", "restart"], { env: instanceEnv(instanceId) });
     } catch { /* ignore */ }
   }
 
@@ -288,4 +349,84 @@ export class ProcessEngine extends InstanceEngine {
     if (!meta) return false;
     return checkPort(meta.port);
   }
+
+  async stats(instanceId) {
+    var meta = getInstance(instanceId);
+    if (!meta) return null;
+    var prev = lastSamples.get(instanceId);
+    var pid = findListenerPid(meta.port, prev && prev.pid);
+    if (!pid) {
+      lastSamples.delete(instanceId);
+      return null;
+    }
+    if (!prev || prev.pid !== pid) prev = { pid: pid, at: Date.now(), sample: sampleProcessTree(pid) };
+    // CPU time over less than half a second is mostly noise
+    var wait = prev.at + 500 - Date.now();
+    if (wait > 0) await new Promise(function(r) { setTimeout(r, wait); });
+    var sample = sampleProcessTree(pid);
+    if (!sample) return null;
+    var now = Date.now();
+    lastSamples.set(instanceId, { pid: pid, at: now, sample: sample });
+    return {
+      cpuPercent: cpuPercent(prev.sample, sample, now - prev.at),
+      memoryBytes: sample.rssBytes,
+      memoryLimitBytes: null,
+      startedAt: sample.startedAt,
+      restarts: meta.restartCount || 0,
+      pid: pid,
+      processes: sample.processes,
+    };
+  }
+
+  async setLimits(instanceId, limits) {
+    throw new Error("Resource limits require the Docker engine");
+  }
+
+  async setRuntime(instanceId, runtime, onProgress) {
+    var meta = getInstance(instanceId);
+    if (!meta) throw new Error("Instance \"" + instanceId + "\" not found");
+    runtime = processRuntime(runtime);
+    if (runtime.version) await installVersion(runtime.version, onProgress).promise;
+    meta = updateInstance(instanceId, { runtime: runtime }) || meta;
+    // Point the gateway daemon at the new executable; the running gateway keeps the old one
+    execSafe(openclawBin(meta), ["gateway", "install", "--port", String(meta.port)], {
+      env: instanceEnv(instanceId), timeout: 30000,
+    });
+    return { runtime: runtime, bin: openclawBin(meta), restartRequired: await checkPort(meta.port) };
+  }
+
+  async gatewayAddress(instanceId) {
+    var meta = getInstance(instanceId);
+    if (!meta) return null;
+    return { host: "127.0.0.1", port: meta.port };
+  }
+
+  async setRestartPolicy(instanceId, policy) {
+    if (!getInstance(instanceId)) throw new Error("Instance \"" + instanceId + "\" not found");
+    policy = normalizeRestartPolicy(policy);
+    updateInstance(instanceId, { restartPolicy: policy });
+    return policy;
+  }
+
+  /**
+   * Gateways run as OS daemons, so exit codes aren't visible: a gateway that
+   * should be running but stops answering on its port counts as crashed.
+   */
+  supervise() {
+    var self = this;
+    return startSupervisor({
+      owns: function(meta) { return (meta.engine || "process") === "process"; },
+      isUp: function(id) { return self.health(id); },
+      restart: async function(id) {
+        await execFileAsync(openclawBin(getInstance(id)), ["gateway", "restart"], {
+          timeout: 30000, shell: IS_WIN, env: instanceEnv(id),
+        });
+      },
+      exitReason: function(id) {
+        var meta = getInstance(id);
+        var line = lastLogLine(id);
+        return "Gateway stopped responding on port " + meta.port + (line ? " (last log: " + line + ")" : "");
+      },
+    });
+  }
 }
@@ -0,0 +1,115 @@
+import { readFileSync, readdirSync, readlinkSync } from "node:fs";
+
+/**
+ * Linux /proc sampling for gateways run by the process engine. Gateways are OS
+ * daemons Nest didn't spawn, so the process is found through its listening socket.
+ */
+
+var CLK_TCK = 100; // USER_HZ, 100 on every mainstream Linux build
+
+function readText(path) {
+  try { return readFileSync(path, "utf-8"); } catch { return ""; }
+}
+
+/** Socket inodes listening on a TCP port (IPv4 and IPv6). */
+function listeningInodes(port) {
+  var hexPort = port.toString(16).toUpperCase().padStart(4, "0");
+  var inodes = [];
+  ["/proc/net/tcp", "/proc/net/tcp6"].forEach(function(file) {
+    readText(file).split("\n").slice(1).forEach(function(line) {
+      var cols = line.trim().split(/\s+/);
+      // cols[1] is local_address "ADDR:PORT", cols[3] the state (0A = LISTEN), cols[9] the inode
+      if (cols.length < 10 || cols[3] !== "0A") return;
+      if (cols[1].split(":")[1] === hexPort && cols[9] !== "0") inodes.push(cols[9]);
+    });
+  });
+  return inodes;
+}
+
+function ownsSocket(pid, inodes) {
+  var fds;
+  try { fds = readdirSync("/proc/" + pid + "/fd"); } catch { return false; }
+  return fds.some(function(fd) {
+    try {
+      var m = /^socket:\[(\d+)\]$/.exec(readlinkSync("/proc/" + pid + "/fd/" + fd));
+      return m && inodes.indexOf(m[1]) !== -1;
+    } catch { return false; }
+  });
+}
+
+function pids() {
+  try {
+    return readdirSync("/proc").filter(function(name) { return /^\d+$/.test(name); }).map(Number);
+  } catch { return []; }
+}
+
+/**
+ * PID of the process listening on a port, or null. `hint` (the last known pid)
+ * is checked first to avoid scanning every process's fds.
+ */
+export function findListenerPid(port, hint) {
+  if (process.platform !== "linux") return null;
+  var inodes = listeningInodes(port);
+  if (inodes.length === 0) return null;
+  if (hint && ownsSocket(hint, inodes)) return hint;
+  var all = pids();
+  for (var i = 0; i < all.length; i++) {
+    if (ownsSocket(all[i], inodes)) return all[i];
+  }
+  return null;
+}
+
+// Fields of /proc/<pid>/stat after "(comm)", which may itself contain spaces
+function procStat(pid) {
+  var raw = readText("/proc/" + pid + "/stat");
+  var end = raw.lastIndexOf(")");
+  if (end === -1) return null;
+  var f = raw.slice(end + 2).split(" ");
+  return { ppid: Number(f[1]), ticks: Number(f[11]) + Number(f[12]), startTicks: Number(f[19]) };
+}
+
+function rssBytes(pid) {
+  var m = /^VmRSS:\s+(\d+) kB/m.exec(readText("/proc/" + pid + "/status"));
+  return m ? Number(m[1]) * 1024 : 0;
+}
+
+function bootTimeMs() {
+  var m = /^btime (\d+)/m.exec(readText("/proc/stat"));
+  return m ? Number(m[1]) * 1000 : 0;
+}
+
+/**
+ * CPU ticks and RSS of a process and all its descendants.
+ * @returns {{ ticks: number, rssBytes: number, startedAt: string|null, processes: number }|null}
+ */
+export function sampleProcessTree(rootPid) {
+  var root = procStat(rootPid);
+  if (!root) return null;
+  var children = new Map();
+  pids().forEach(function(pid) {
+    var st = pid === rootPid ? root : procStat(pid);
+    if (!st) return;
+    if (!children.has(st.ppid)) children.set(st.ppid, []);
+    children.get(st.ppid).push({ pid: pid, st: st });
+  });
+
+  var sample = { ticks: root.ticks, rssBytes: rssBytes(rootPid), startedAt: null, processes: 1 };
+  var queue = [rootPid];
+  while (queue.length) {
+    (children.get(queue.shift()) || []).forEach(function(child) {
+      sample.ticks += child.st.ticks;
+      sample.rssBytes += rssBytes(child.pid);
+      sample.processes++;
+      queue.push(child.pid);
+    });
+  }
+  var boot = bootTimeMs();
+  if (boot) sample.startedAt = new Date(boot + root.startTicks / CLK_TCK * 1000).toISOString();
+  return sample;
+}
+
+/** CPU percent (of one core) used between two samples taken `ms` apart. */
+export function cpuPercent(before, after, ms) {
+  if (!before || !after || ms <= 0 || after.ticks < before.ticks) return 0;
+  return Math.round((after.ticks - before.ticks) / CLK_TCK * 1000 / ms * 1000) / 10;
+}
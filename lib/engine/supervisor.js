@@ -0,0 +1,146 @@
+import { getAllInstances, updateInstance } from "../store.js";
+import { emitEvent } from "../events.js";
+
+/**
+ * Restart policies, modelled on Docker's:
+ *   no         - never restart, only record the crash
+ *   on-failure - restart up to maxRetries times in a row, then give up
+ *   always     - keep restarting (backoff still applies)
+ */
+export var RESTART_POLICIES = ["no", "on-failure", "always"];
+export var DEFAULT_RESTART_POLICY = { name: "on-failure", maxRetries: 5 };
+
+var CHECK_INTERVAL = 5000;
+var DOWN_CHECKS = 2;           // consecutive failed checks before a gateway counts as crashed
+var BACKOFF_BASE = 5000;
+var BACKOFF_MAX = 5 * 60 * 1000;
+var STABLE_AFTER = 60000;      // healthy this long resets the retry counter
+
+/**
+ * Validate a { name, maxRetries } policy and fill in defaults. Throws on bad input.
+ */
+export function normalizeRestartPolicy(policy) {
+  policy = policy || {};
+  var name = policy.name || DEFAULT_RESTART_POLICY.name;
+  if (RESTART_POLICIES.indexOf(name) === -1) throw new Error("Unknown restart policy: " + name);
+  var maxRetries = policy.maxRetries == null ? DEFAULT_RESTART_POLICY.maxRetries : Number(policy.maxRetries);
+  if (!Number.isInteger(maxRetries) || maxRetries < 0) throw new Error("maxRetries must be a non-negative integer");
+  return { name: name, maxRetries: maxRetries };
+}
+
+function backoff(attempt) {
+  return Math.min(BACKOFF_BASE * Math.pow(2, attempt), BACKOFF_MAX);
+}
+
+/**
+ * Watch gateways that should be running and restart them per their restart policy.
+ * Crash counts, restart counts and the last exit reason are kept in instance metadata.
+ * @param {object} hooks
+ * @param {function(object): boolean} hooks.owns - whether an instance (metadata) is supervised
+ * @param {function(string): Promise<boolean>} hooks.isUp - health probe
+ * @param {function(string): Promise<void>} hooks.restart - bring a gateway back
+ * @param {function(string): string} [hooks.exitReason] - describe why a gateway went down
+ * @returns {NodeJS.Timeout}
+ */
+export function startSupervisor(hooks) {
+  var state = new Map();
+  var busy = false;
+
+  async function check(id, meta) {
+    var st = state.get(id);
+    if (!st) {
+      st = { misses: 0, down: false, failures: 0, nextAttemptAt: 0, healthySince: 0, gaveUp: false, restarting: false };
+      state.set(id, st);
+    }
+    if (st.restarting) return;
+    var now = Date.now();
+
+    if (await hooks.isUp(id)) {
+      if (st.down) console.log("Supervisor: " + id + " is back up");
+      st.misses = 0;
+      st.down = false;
+      st.gaveUp = false;
+      if (!st.healthySince) st.healthySince = now;
+      if (st.failures && now - st.healthySince >= STABLE_AFTER) st.failures = 0;
+      return;
+    }
+
+    st.healthySince = 0;
+    if (!st.down) {
+      if (++st.misses < DOWN_CHECKS) return;
+      st.down = true;
+      st.nextAttemptAt = now + backoff(st.failures);
+      var reason = hooks.exitReason ? hooks.exitReason(id) : "Gateway stopped responding";
+      console.error("Supervisor: " + id + " is down: " + reason);
+      meta = updateInstance(id, {
+        status: "error",
+        crashCount: (meta.crashCount || 0) + 1,
+        lastExit: { at: new Date(now).toISOString(), reason: reason },
+      }) || meta;
+    }
+
+    var policy = normalizeRestartPolicy(meta.restartPolicy);
+    if (policy.name === "no" || st.gaveUp) return;
+    if (policy.name === "on-failure" && st.failures >= policy.maxRetries) {
+      st.gaveUp = true;
+      console.error("Supervisor: giving up on " + id + " after " + st.failures + " restart(s)");
+      updateInstance(id, {
+        lastExit: Object.assign({}, meta.lastExit, { gaveUpAfter: st.failures }),
+      });
+      return;
+    }
+    if (now < st.nextAttemptAt) return;
+
+    st.failures++;
+    st.restarting = true;
+    try {
+      await hooks.restart(id);
+    } catch (err) {
+      console.error("Supervisor: restart of " + id + " failed: " + err.message);
+    } finally {
+      st.restarting = false;
+    }
+    st.misses = 0;
+    st.down = false;
+    st.nextAttemptAt = Date.now() + backoff(st.failures);
+    updateInstance(id, {
+      restartCount: (meta.restartCount || 0) + 1,
+      lastRestartAt: new Date().toISOString(),
+    });
+    emitEvent("instance.restarted", id, { restartCount: (meta.restartCount || 0) + 1, reason: meta.lastExit && meta.lastExit.reason });
+  }
+
+  async function tick() {
+    if (busy) return;
+    busy = true;
+    try {
+      var all = getAllInstances();
+      for (var id of state.keys()) {
+        if (!all[id]) state.delete(id);
+      }
+      for (var id2 of Object.keys(all)) {
+        var meta = all[id2];
+        if (!hooks.owns(meta)) continue;
+        // Instances from before supervision: adopt the ones that are up
+        if (!meta.desiredState && meta.status === "running") {
+          meta = updateInstance(id2, { desiredState: "running" }) || meta;
+        }
+        if (meta.desiredState !== "running") {
+          state.delete(id2);
+          continue;
+        }
+        try {
+          await check(id2, meta);
+        } catch (err) {
+          console.error("Supervisor: check of " + id2 + " failed: " + err.message);
+        }
+      }
+    } finally {
+      busy = false;
+    }
+  }
+
+  var timer = setInterval(function() { tick(); }, CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+}
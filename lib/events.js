@@ -0,0 +1,150 @@
+import { EventEmitter } from "node:events";
+import { getAllInstances } from "./store.js";
+import { checkInstanceHealth } from "./health.js";
+import { listPairings } from "./pairing.js";
+
+/**
+ * In-process event bus for instance lifecycle events, served as SSE on GET /events.
+ *
+ * Event types:
+ *   instance.created, instance.removed
+ *   instance.started, instance.stopped, instance.crashed   { status, previous }
+ *   instance.health                                         { verdict, previous }
+ *   instance.restarted                                      { restartCount } (supervisor)
+ *   instance.pairing                                        { pending, previous } (pairing requests)
+ *   deploy.progress { percent, message }, deploy.done { port }, deploy.failed { message }
+ *   upgrade.progress { message }, upgrade.done { from, to, verdict }, upgrade.failed { outcome, message }
+ */
+
+var HISTORY_SIZE = 200;
+var MONITOR_INTERVAL = 5000;
+var HEALTH_INTERVAL = 60000;  // deep checks call out to channel APIs, so run them less often
+
+var bus = new EventEmitter();
+bus.setMaxListeners(0);
+var history = [];
+var nextId = 1;
+
+/**
+ * Publish an event to all subscribers.
+ * @param {string} type
+ * @param {string|null} instanceId
+ * @param {object} [data]
+ */
+export function emitEvent(type, instanceId, data) {
+  var event = Object.assign({ id: nextId++, ts: new Date().toISOString(), type: type, instance: instanceId }, data);
+  history.push(event);
+  if (history.length > HISTORY_SIZE) history.shift();
+  bus.emit("event", event);
+  return event;
+}
+
+/**
+ * Subscribe to events. Events newer than `lastId` are replayed first, so
+ * reconnecting SSE clients (Last-Event-ID) don't miss anything recent.
+ * @param {function(object)} fn
+ * @param {number} [lastId]
+ * @returns {function()} unsubscribe
+ */
+export function subscribe(fn, lastId) {
+  if (lastId) history.filter(function(e) { return e.id > lastId; }).forEach(fn);
+  bus.on("event", fn);
+  return function() { bus.off("event", fn); };
+}
+
+var TRANSITIONS = { running: "instance.started", stopped: "instance.stopped", error: "instance.crashed" };
+
+/**
+ * Probe every instance once per interval and publish the transitions, so
+ * clients don't each have to poll engine.status(). Running instances also get
+ * a deep health check (see health.js) every HEALTH_INTERVAL.
+ * @param {import("./engine/interface.js").InstanceEngine} engine
+ * @returns {{ statusOf: function(string): Promise<string>, healthOf: function(string): (object|null), refresh: function(string): Promise<void>, stop: function() }}
+ */
+export function startStatusMonitor(engine) {
+  var known = new Map(); // id -> { status, health, healthAt, pairings }
+  var primed = false;
+  var busy = false;
+  var probing = new Map(); // id -> tail of that instance's probe chain
+
+  async function probe(id) {
+    var status = await engine.status(id);
+    var prev = known.get(id);
+    var health = prev ? prev.health : null;
+    var healthAt = prev ? prev.healthAt : 0;
+    if (status !== "running") {
+      health = null;
+    } else if (!health || !prev || prev.status !== "running" || Date.now() - healthAt >= HEALTH_INTERVAL) {
+      health = await checkInstanceHealth(engine, id);
+      healthAt = Date.now();
+    }
+    var pairings = listPairings(id).length;
+    known.set(id, { status: status, health: health, healthAt: healthAt, pairings: pairings });
+    if (!primed) return;
+    if (!prev) {
+      emitEvent("instance.created", id, { status: status });
+      return;
+    }
+    if (prev.status !== status && TRANSITIONS[status]) {
+      emitEvent(TRANSITIONS[status], id, { status: status, previous: prev.status });
+    }
+    if (prev.health && health && prev.health.verdict !== health.verdict) {
+      emitEvent("instance.health", id, { verdict: health.verdict, previous: prev.health.verdict });
+    }
+    if (prev.pairings !== pairings) emitEvent("instance.pairing", id, { pending: pairings, previous: prev.pairings });
+  }
+
+  // One probe per instance at a time, or a tick and a refresh would both see the same transition
+  function probeSerial(id) {
+    var run = (probing.get(id) || Promise.resolve()).then(function() { return probe(id); });
+    var tail = run.catch(function() {});
+    probing.set(id, tail);
+    tail.then(function() { if (probing.get(id) === tail) probing.delete(id); });
+    return run;
+  }
+
+  async function tick() {
+    if (busy) return;
+    busy = true;
+    try {
+      var ids = Object.keys(getAllInstances());
+      for (var id of known.keys()) {
+        if (ids.indexOf(id) !== -1) continue;
+        known.delete(id);
+        if (primed) emitEvent("instance.removed", id);
+      }
+      for (var i = 0; i < ids.length; i++) {
+        try { await probeSerial(ids[i]); } catch { /* engine unavailable, retry next tick */ }
+      }
+      primed = true;
+    } finally {
+      busy = false;
+    }
+  }
+
+  var timer = setInterval(function() { tick(); }, MONITOR_INTERVAL);
+  timer.unref();
+  tick();
+
+  return {
+    /** Last observed status, probing only instances the monitor hasn't seen yet. */
+    statusOf: async function(id) {
+      var entry = known.get(id);
+      return entry ? entry.status : engine.status(id);
+    },
+    /** Last deep health report of a running instance, or null. */
+    healthOf: function(id) {
+      var entry = known.get(id);
+      return entry ? entry.health : null;
+    },
+    /** Re-probe one instance now (after a lifecycle action) instead of waiting for the next tick. */
+    refresh: async function(id) {
+      if (!getAllInstances()[id]) {
+        if (known.delete(id)) emitEvent("instance.removed", id);
+        return;
+      }
+      try { await probeSerial(id); } catch { /* next tick */ }
+    },
+    stop: function() { clearInterval(timer); },
+  };
+}
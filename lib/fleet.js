@@ -0,0 +1,411 @@
+import { readFileSync, existsSync } from "node:fs";
+import { join, extname } from "node:path";
+import { parse as parseYaml } from "yaml";
+import { readInstanceConfig, replaceInstanceConfig, deepMerge, validateInstanceName } from "./configure.js";
+import { getAllInstances, getInstance, saveInstance, getNestDir } from "./store.js";
+import { getSecrets, providerApiKey } from "./secrets.js";
+import { setInstanceModel } from "./instances.js";
+import { findModel, findProvider, defaultModel } from "./providers.js";
+import {
+  DEFAULT_CHANNEL, findChannel, channelCredentials, channelConfig, credentialPatch, storedCredentials, enableChannelPlugin,
+  instanceChannels,
+} from "./channels.js";
+import { recordAudit, diffConfig } from "./audit.js";
+import { emitEvent } from "./events.js";
+
+/**
+ * Declarative fleet files. A fleet lists the desired instances:
+ *
+ *   instances:
+ *     support-bot:
+ *       model: claude-sonnet-4-5-20250929
+ *       channel: telegram
+ *       state: running            # or stopped
+ *       secrets:
+ *         apiKey: ${ANTHROPIC_API_KEY}
+ *         botToken: ${SUPPORT_BOT_TOKEN}
+ *
+ * Channel credentials use the channel's field keys (see channels.js): secret ones
+ * under `secrets`, others (such as Feishu's appId) next to `channel`.
+ *
+ * planFleet() diffs it against the store, applyFleet() executes the plan.
+ */
+
+export var DEFAULT_FLEET_FILES = ["nest.fleet.json", "nest.fleet.yaml", "nest.fleet.yml"];
+
+var STATES = ["running", "stopped"];
+var INSTANCE_KEYS = ["model", "channel", "port", "state", "secrets"];
+var ENV_REF_RE = /^\$\{([A-Za-z_][A-Za-z0-9_]*)\}$/;
+
+/** The only variables a fleet applied through the API can reference. */
+export var FLEET_ENV_PREFIX = "NEST_FLEET_";
+
+/**
+ * Parse fleet file contents. JSON is tried when the text looks like an object, YAML otherwise.
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseFleet(text) {
+  var doc;
+  try {
+    doc = /^\s*\{/.test(text) ? JSON.parse(text) : parseYaml(text);
+  } catch (err) {
+    throw new Error("Invalid fleet file: " + err.message);
+  }
+  return validateFleet(doc);
+}
+
+/**
+ * Load a fleet file, or the first of DEFAULT_FLEET_FILES in cwd when no path is given.
+ */
+export function loadFleetFile(path) {
+  if (!path) {
+    path = DEFAULT_FLEET_FILES.find(function(f) { return existsSync(f); });
+    if (!path) throw new Error("No fleet file found (looked for " + DEFAULT_FLEET_FILES.join(", ") + ")");
+  }
+  if (!existsSync(path)) throw new Error("Fleet file not found: " + path);
+  var text = readFileSync(path, "utf-8");
+  if (extname(path) === ".json") {
+    try { return validateFleet(JSON.parse(text)); } catch (err) {
+      if (err instanceof SyntaxError) throw new Error("Invalid fleet file: " + err.message);
+      throw err;
+    }
+  }
+  return parseFleet(text);
+}
+
+/**
+ * Check a fleet document and fill in defaults. Secret references are left unresolved.
+ * @returns {{ instances: Object<string, object> }}
+ */
+export function validateFleet(doc) {
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) throw new Error("Fleet must be an object");
+  var instances = doc.instances || {};
+  if (typeof instances !== "object" || Array.isArray(instances)) throw new Error("\"instances\" must be a map of instance id to settings");
+
+  var result = {};
+  var ports = {};
+  Object.keys(instances).forEach(function(id) {
+    var spec = instances[id] || {};
+    var where = "instances." + id;
+    if (!id || id === "default") throw new Error("Invalid instance id: \"" + id + "\"");
+    validateInstanceName(id);
+    if (typeof spec !== "object" || Array.isArray(spec)) throw new Error(where + " must be an object");
+
+    var model = spec.model || defaultModel().id;
+    if (!findModel(model)) throw new Error(where + ": unknown model " + model);
+    var channel = spec.channel || DEFAULT_CHANNEL;
+    var channelDef = findChannel(channel);
+    if (!channelDef) throw new Error(where + ": unknown channel " + channel);
+    var plainKeys = channelDef.fields.filter(function(f) { return !f.secret; }).map(function(f) { return f.key; });
+    var secretKeys = ["apiKey"].concat(channelDef.fields.filter(function(f) { return f.secret; }).map(function(f) { return f.key; }));
+    Object.keys(spec).forEach(function(key) {
+      if (INSTANCE_KEYS.indexOf(key) === -1 && plainKeys.indexOf(key) === -1) throw new Error(where + ": unknown key \"" + key + "\"");
+    });
+    var state = spec.state || "running";
+    if (STATES.indexOf(state) === -1) throw new Error(where + ": state must be running or stopped");
+
+    var port = 0;
+    if (spec.port != null) {
+      port = Number(spec.port);
+      if (!Number.isInteger(port) || port < 1 || port > 65535) throw new Error(where + ": invalid port " + spec.port);
+      if (ports[port]) throw new Error(where + ": port " + port + " is also used by " + ports[port]);
+      ports[port] = id;
+    }
+
+    var secrets = spec.secrets || {};
+    if (typeof secrets !== "object" || Array.isArray(secrets)) throw new Error(where + ".secrets must be an object");
+    Object.keys(secrets).forEach(function(key) {
+      if (secretKeys.indexOf(key) === -1) throw new Error(where + ".secrets: unknown secret \"" + key + "\"");
+      if (typeof secrets[key] !== "string" || !secrets[key]) throw new Error(where + ".secrets." + key + " must be a non-empty string");
+    });
+
+    result[id] = {
+      model: model,
+      channel: channel,
+      port: port,
+      state: state,
+      credentials: plainKeys.reduce(function(out, key) {
+        if (spec[key]) out[key] = String(spec[key]);
+        return out;
+      }, {}),
+      secrets: Object.assign({}, secrets),
+    };
+  });
+  return { instances: result };
+}
+
+/**
+ * Resolve "${VAR}" secret references from the environment. Other strings are taken literally.
+ * Nest's own NEST_* variables can't be referenced, apart from NEST_FLEET_*; with envPrefix
+ * only variables starting with it can.
+ */
+function resolveSecrets(id, secrets, env, envPrefix) {
+  var out = {};
+  Object.keys(secrets).forEach(function(key) {
+    var value = secrets[key];
+    var m = ENV_REF_RE.exec(value);
+    if (m) {
+      if (envPrefix && m[1].indexOf(envPrefix) !== 0) {
+        throw new Error(id + ": secret references can only use " + envPrefix + "* variables here (secrets." + key + ")");
+      }
+      if (/^NEST_/.test(m[1]) && m[1].indexOf(FLEET_ENV_PREFIX) !== 0) {
+        throw new Error(id + ": secret references can't use NEST_* variables");
+      }
+      value = env[m[1]];
+      if (!value) throw new Error(id + ": environment variable " + m[1] + " is not set (secrets." + key + ")");
+    }
+    out[key] = value.trim();
+  });
+  return out;
+}
+
+function instanceDir(id) {
+  return join(getNestDir(), "instances", id);
+}
+
+/**
+ * Diff a fleet against the store and live status.
+ * @param {import("./engine/interface.js").InstanceEngine} engine
+ * @param {{ instances: object }} fleet - from validateFleet()
+ * @param {object} [opts] - { prune: remove instances missing from the fleet, env: for ${VAR} secrets,
+ *   envPrefix: only variables starting with it can be referenced }
+ * @returns {Promise<{ steps: object[], unchanged: string[], warnings: string[] }>}
+ *   Each step is { action: "create"|"update"|"start"|"stop"|"restart"|"remove", instance, changes }.
+ */
+export async function planFleet(engine, fleet, opts) {
+  opts = opts || {};
+  var env = opts.env || process.env;
+  var all = getAllInstances();
+  var steps = [];
+  var unchanged = [];
+  var warnings = [];
+
+  var ids = Object.keys(fleet.instances);
+  for (var i = 0; i < ids.length; i++) {
+    var id = ids[i];
+    var want = fleet.instances[id];
+    var secrets = resolveSecrets(id, want.secrets, env, opts.envPrefix);
+    var meta = all[id];
+
+    if (!meta) {
+      if (!secrets.apiKey && findProvider(findModel(want.model).provider).apiKeyRequired) {
+        throw new Error(id + ": secrets.apiKey is required to create an instance");
+      }
+      requireCredentials(id, want, secrets);
+      if (want.port && Object.keys(all).some(function(k) { return all[k].port === want.port; })) {
+        throw new Error(id + ": port " + want.port + " is already used by another instance");
+      }
+      steps.push({
+        action: "create",
+        instance: id,
+        changes: ["model: " + want.model, "channel: " + want.channel, "port: " + (want.port || "auto")],
+        desired: want,
+        secrets: secrets,
+      });
+      if (want.state === "stopped") steps.push({ action: "stop", instance: id, changes: [] });
+      continue;
+    }
+
+    var cfg = meta.config || {};
+    var current = getSecrets(id);
+    var channelDef = findChannel(want.channel);
+    var changes = [];
+    if ((cfg.modelId || "") !== want.model) changes.push("model: " + (cfg.modelId || "-") + " -> " + want.model);
+    var primary = instanceChannels(meta)[0];
+    var channelChanged = primary !== want.channel;
+    if (channelChanged) {
+      changes.push("channel: " + primary + " -> " + want.channel);
+      requireCredentials(id, want, secrets);
+    }
+    var stored = channelChanged ? {} : storedCredentials(want.channel, readInstanceConfig(instanceDir(id)), current);
+    channelDef.fields.forEach(function(f) {
+      var value = f.secret ? secrets[f.key] : want.credentials[f.key];
+      if (!value || value === stored[f.key]) return;
+      // Secret values are never shown in a plan
+      changes.push(f.key + ": " + (f.secret ? "changed" : (stored[f.key] || "-") + " -> " + value));
+    });
+    if (secrets.apiKey && secrets.apiKey !== providerApiKey(current, findModel(want.model).provider)) changes.push("apiKey: changed");
+    if (want.port && want.port !== meta.port) {
+      warnings.push(id + ": port differs (" + meta.port + " in nest, " + want.port + " in fleet); ports are only set at creation");
+    }
+
+    var status = await engine.status(id);
+    var running = status === "running";
+    if (changes.length) {
+      steps.push({ action: "update", instance: id, changes: changes, desired: want, secrets: secrets });
+      if (want.state === "running") steps.push({ action: running ? "restart" : "start", instance: id, changes: [] });
+      else if (running) steps.push({ action: "stop", instance: id, changes: [] });
+    } else if (want.state === "running" && !running) {
+      steps.push({ action: "start", instance: id, changes: [] });
+    } else if (want.state === "stopped" && running) {
+      steps.push({ action: "stop", instance: id, changes: [] });
+    } else {
+      unchanged.push(id);
+    }
+  }
+
+  Object.keys(all).forEach(function(id) {
+    if (fleet.instances[id]) return;
+    if (opts.prune) steps.push({ action: "remove", instance: id, changes: [] });
+    else warnings.push(id + ": not in fleet (use prune to remove)");
+  });
+
+  return { steps: steps, unchanged: unchanged, warnings: warnings };
+}
+
+/** Strip resolved secrets and internal fields from a plan before showing or returning it. */
+export function publicPlan(plan) {
+  return {
+    steps: plan.steps.map(function(s) { return { action: s.action, instance: s.instance, changes: s.changes }; }),
+    unchanged: plan.unchanged,
+    warnings: plan.warnings,
+  };
+}
+
+/** Human-readable plan, one line per step. */
+export function formatPlan(plan) {
+  var marks = { create: "+", update: "~", start: ">", stop: ".", restart: "~", remove: "-" };
+  var counts = {};
+  plan.steps.forEach(function(s) { counts[s.action] = (counts[s.action] || 0) + 1; });
+  var summary = Object.keys(counts).map(function(a) { return counts[a] + " to " + a; });
+  summary.push(plan.unchanged.length + " unchanged");
+  var lines = ["Plan: " + summary.join(", ")];
+  plan.steps.forEach(function(s) {
+    var line = "  " + marks[s.action] + " " + s.action.padEnd(8) + s.instance;
+    if (s.changes.length) line += "  (" + s.changes.join("; ") + ")";
+    lines.push(line);
+  });
+  plan.warnings.forEach(function(w) { lines.push("  ! " + w); });
+  return lines.join("\n");
+}
+
+// Fleet secrets and plain credential keys are the channel's field keys
+function channelCreds(want, secrets) {
+  return Object.assign({}, want.credentials, channelCredentials(want.channel, secrets));
+}
+
+function requireCredentials(id, want, secrets) {
+  var creds = channelCreds(want, secrets);
+  var missing = findChannel(want.channel).fields.filter(function(f) { return !creds[f.key]; }).map(function(f) {
+    return f.secret ? "secrets." + f.key : f.key;
+  });
+  if (missing.length) throw new Error(id + ": " + missing.join(" and ") + (missing.length > 1 ? " are" : " is") + " required for " + want.channel);
+}
+
+function deployCreds(want, secrets) {
+  return {
+    apiKey: secrets.apiKey,
+    modelId: want.model,
+    channels: [{ channel: want.channel, credentials: channelCreds(want, secrets) }],
+  };
+}
+
+async function createFromFleet(engine, id, want, secrets, onProgress) {
+  var deployConfig = deployCreds(want, secrets);
+  var started = Date.now();
+  try {
+    await engine.create(id, Object.assign({ port: want.port }, deployConfig));
+    var handle = engine.deployStream(id, deployConfig, function(pct, msg) {
+      if (onProgress) onProgress(id, pct, msg);
+    });
+    var result = await handle.promise;
+  } catch (err) {
+    emitEvent("deploy.failed", id, { message: err.message, durationMs: Date.now() - started });
+    throw err;
+  }
+  emitEvent("deploy.done", id, { port: result.port, durationMs: Date.now() - started });
+}
+
+/**
+ * Rewrite model, channel and credentials of an existing instance. Does not restart it.
+ * The fleet's channel is the primary one; channels added through the API stay.
+ */
+function reconfigure(id, want, secrets) {
+  var meta = getInstance(id);
+  var cfg = meta.config || {};
+  var dir = instanceDir(id);
+  var channels = instanceChannels(meta);
+  var oldChannel = channels[0];
+
+  if ((cfg.modelId || "") !== want.model) setInstanceModel(id, want.model, secrets.apiKey);
+
+  var current = readInstanceConfig(dir) || {};
+  if (oldChannel !== want.channel) {
+    // The old channel is dropped, not merged with the new one
+    if (current.channels) delete current.channels[oldChannel];
+    if (current.plugins && current.plugins.entries) delete current.plugins.entries[oldChannel];
+  }
+
+  var patch = { channels: {} };
+  if (oldChannel !== want.channel) {
+    patch.channels[want.channel] = channelConfig(want.channel, channelCreds(want, secrets));
+    enableChannelPlugin(patch, want.channel);
+  } else {
+    // Only touch credentials so settings like the DM allowlist survive
+    patch.channels[want.channel] = credentialPatch(want.channel, channelCreds(want, secrets));
+  }
+  if (secrets.apiKey) {
+    patch.models = { providers: {} };
+    patch.models.providers[findModel(want.model).provider] = { apiKey: secrets.apiKey };
+  }
+  replaceInstanceConfig(dir, deepMerge(current, patch), "fleet apply");
+
+  meta = getInstance(id);
+  channels = [want.channel].concat(channels.filter(function(c) { return c !== oldChannel && c !== want.channel; }));
+  meta.config = Object.assign({}, meta.config, { modelId: want.model, channel: want.channel, channels: channels });
+  saveInstance(id, meta);
+}
+
+/**
+ * Execute a plan from planFleet(). Steps run in order; after a failed step the
+ * remaining steps of that instance are skipped, other instances continue.
+ * Every step is recorded in the audit log.
+ * @param {object} [opts] - { actor, ip, onProgress(instanceId, pct, msg) }
+ * @returns {Promise<Array<{ action, instance, outcome: "success"|"failure"|"skipped", error? }>>}
+ */
+export async function applyFleet(engine, plan, opts) {
+  opts = opts || {};
+  var failed = {};
+  var results = [];
+  for (var i = 0; i < plan.steps.length; i++) {
+    var step = plan.steps[i];
+    var id = step.instance;
+    if (failed[id]) {
+      results.push({ action: step.action, instance: id, outcome: "skipped" });
+      continue;
+    }
+    var before = readInstanceConfig(instanceDir(id));
+    var error = null;
+    try {
+      switch (step.action) {
+        case "create": await createFromFleet(engine, id, step.desired, step.secrets, opts.onProgress); break;
+        case "update": reconfigure(id, step.desired, step.secrets); break;
+        case "start": await engine.start(id); break;
+        case "stop": await engine.stop(id); break;
+        case "restart": await engine.stop(id); await engine.start(id); break;
+        case "remove": await engine.remove(id); break;
+      }
+    } catch (err) {
+      error = err;
+      failed[id] = true;
+    }
+
+    var entry = {
+      actor: opts.actor || null,
+      ip: opts.ip || null,
+      action: "FLEET " + step.action,
+      instance: id,
+      outcome: error ? "failure" : "success",
+    };
+    if (error) entry.error = error.message;
+    var changes = diffConfig(before, readInstanceConfig(instanceDir(id)));
+    if (changes.length) entry.changes = changes;
+    recordAudit(entry);
+
+    var result = { action: step.action, instance: id, outcome: entry.outcome };
+    if (error) result.error = error.message;
+    results.push(result);
+  }
+  return results;
+}
@@ -0,0 +1,152 @@
+import { join } from "node:path";
+import { getInstance, getNestDir } from "./store.js";
+import { getSecrets } from "./secrets.js";
+import { readInstanceConfig } from "./configure.js";
+import { findChannel, storedCredentials, instanceChannels } from "./channels.js";
+
+/**
+ * Deep health checks. Each check reports { name, status, message, latencyMs }
+ * with status "pass", "warn", "fail" or "skip" (channel checks, one per channel,
+ * also name their `channel`); the verdict is
+ *   down     - not running, or the gateway doesn't answer HTTP
+ *   degraded - gateway up, but a channel or the logs look wrong
+ *   healthy  - everything passed
+ */
+
+var HTTP_TIMEOUT = 3000;
+var CHANNEL_TIMEOUT = 5000;
+var CHANNEL_CACHE_TTL = 5 * 60 * 1000;  // don't hit the channel APIs on every probe
+var LOG_LINES = 200;
+var LOG_WARN_ERRORS = 5;
+var LOG_FAIL_ERRORS = 20;
+var ERROR_LINE = /\b(error|fatal|exception|unhandled|panic)\b/i;
+
+var channelCache = new Map(); // "<id>:<channel>:<credential>" -> { at, result }
+
+function result(name, status, message, started) {
+  var r = { name: name, status: status, message: message };
+  if (started) r.latencyMs = Date.now() - started;
+  return r;
+}
+
+// undici hides the socket error in err.cause (an AggregateError when several addresses failed)
+function networkReason(err) {
+  if (err.name === "TimeoutError") return "timed out";
+  var cause = err.cause || {};
+  if (!cause.code && cause.errors && cause.errors[0]) cause = cause.errors[0];
+  return cause.code || cause.message || err.message;
+}
+
+async function checkGateway(engine, id) {
+  var started = Date.now();
+  var addr = await engine.gatewayAddress(id);
+  if (!addr) return result("gateway", "fail", "Gateway address unknown");
+  try {
+    var res = await fetch("http://" + addr.host + ":" + addr.port + "/", {
+      signal: AbortSignal.timeout(HTTP_TIMEOUT),
+      redirect: "manual",
+    });
+    if (res.body) await res.body.cancel();
+    // Auth challenges still prove the gateway is serving requests
+    if (res.status >= 500) return result("gateway", "warn", "Gateway answered HTTP " + res.status, started);
+    return result("gateway", "pass", "Gateway answered HTTP " + res.status, started);
+  } catch (err) {
+    return result("gateway", "fail", "Gateway HTTP probe failed: " + networkReason(err), started);
+  }
+}
+
+async function checkChannel(id, channelId, cfg, secrets) {
+  var channel = findChannel(channelId);
+  if (!channel) return result("channel", "skip", "Unknown channel " + channelId);
+  if (!channel.check) return result("channel", "skip", "No connectivity check for channel " + channel.id);
+  var creds = storedCredentials(channel.id, cfg, secrets);
+  var missing = channel.fields.filter(function(f) { return !creds[f.key]; });
+  if (missing.length) {
+    return result("channel", "fail", channel.name + " " + missing.map(function(f) { return f.label; }).join(" and ") + " missing");
+  }
+
+  var credential = channel.fields.map(function(f) { return creds[f.key]; }).join(":");
+  var key = id + ":" + channel.id + ":" + credential;
+  var hit = channelCache.get(key);
+  if (hit && Date.now() - hit.at < CHANNEL_CACHE_TTL) return Object.assign({ cached: true }, hit.result);
+  var started = Date.now();
+  var r;
+  try {
+    var outcome = await channel.check(creds, AbortSignal.timeout(CHANNEL_TIMEOUT));
+    r = result("channel", outcome.status, outcome.message, started);
+  } catch (err) {
+    r = result("channel", "warn", channel.name + " API unreachable: " + networkReason(err), started);
+  }
+  channelCache.set(key, { at: Date.now(), result: r });
+  return r;
+}
+
+function readStream(stream) {
+  return new Promise(function(resolve) {
+    var chunks = [];
+    var timer = setTimeout(function() { stream.destroy(); resolve(Buffer.concat(chunks).toString("utf-8")); }, HTTP_TIMEOUT);
+    stream.on("data", function(c) { chunks.push(Buffer.from(c)); });
+    stream.on("end", function() { clearTimeout(timer); resolve(Buffer.concat(chunks).toString("utf-8")); });
+    stream.on("error", function() { clearTimeout(timer); resolve(Buffer.concat(chunks).toString("utf-8")); });
+  });
+}
+
+async function checkLogs(engine, id) {
+  var stream = await engine.logs(id, { tail: LOG_LINES, follow: false });
+  if (!stream) return result("logs", "skip", "No logs available");
+  var lines = (await readStream(stream)).split("\n").filter(function(l) { return l.trim(); });
+  if (lines.length === 0) return result("logs", "skip", "No logs available");
+  var errors = lines.filter(function(l) { return ERROR_LINE.test(l); });
+  var summary = errors.length + " error line(s) in the last " + lines.length;
+  var r = result("logs", errors.length >= LOG_FAIL_ERRORS ? "fail" : errors.length >= LOG_WARN_ERRORS ? "warn" : "pass", summary);
+  r.errorLines = errors.length;
+  r.errorRate = Math.round(errors.length / lines.length * 1000) / 1000;
+  if (errors.length) r.lastError = errors[errors.length - 1].trim().slice(0, 300);
+  return r;
+}
+
+/** Reduce check results to "healthy" | "degraded" | "down". */
+export function healthVerdict(checks) {
+  var failed = function(name) { return checks.some(function(c) { return c.name === name && c.status === "fail"; }); };
+  if (failed("status") || failed("gateway")) return "down";
+  if (checks.some(function(c) { return c.status === "fail" || c.status === "warn"; })) return "degraded";
+  return "healthy";
+}
+
+/**
+ * Run every health check against one instance.
+ * Throws if the instance doesn't exist.
+ * @param {import("./engine/interface.js").InstanceEngine} engine
+ * @param {string} id
+ * @returns {Promise<{ instance: string, verdict: string, checkedAt: string, checks: object[] }>}
+ */
+export async function checkInstanceHealth(engine, id) {
+  var meta = getInstance(id);
+  if (!meta) throw new Error("Instance \"" + id + "\" not found");
+  var checks = [];
+  var status = await engine.status(id);
+  checks.push(result("status", status === "running" ? "pass" : "fail", "Instance is " + status));
+  if (status === "running") {
+    var gateway = await checkGateway(engine, id);
+    checks.push(gateway);
+    if (gateway.status === "fail") {
+      checks.push(result("channel", "skip", "Gateway is down"));
+    } else {
+      var cfg = readInstanceConfig(join(getNestDir(), "instances", id)) || {};
+      var secrets = getSecrets(id);
+      var channels = instanceChannels(meta);
+      for (var i = 0; i < channels.length; i++) {
+        checks.push(Object.assign(await checkChannel(id, channels[i], cfg, secrets), { channel: channels[i] }));
+      }
+    }
+  } else {
+    checks.push(result("gateway", "skip", "Instance is not running"));
+    checks.push(result("channel", "skip", "Instance is not running"));
+  }
+  try {
+    checks.push(await checkLogs(engine, id));
+  } catch (err) {
+    checks.push(result("logs", "skip", "Cannot read logs: " + err.message));
+  }
+  return { instance: id, verdict: healthVerdict(checks), checkedAt: new Date().toISOString(), checks: checks };
+}
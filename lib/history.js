@@ -0,0 +1,95 @@
+import { AsyncLocalStorage } from "node:async_hooks";
+import { existsSync, mkdirSync, readdirSync, readFileSync, writeFileSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { getNestDir } from "./store.js";
+
+/**
+ * Revisions of each instance's openclaw.json, kept as <nest>/history/<id>/<rev>.json:
+ * { rev, ts, author, reason, config }. writeInstanceConfig and replaceInstanceConfig
+ * record one for every write that changes the file. The config is stored as
+ * written, so credentials are only ${ENV} references into the vault (their values
+ * are not versioned). Past MAX_REVISIONS the oldest are dropped; numbers keep counting.
+ */
+
+export var MAX_REVISIONS = 100;
+
+var authorContext = new AsyncLocalStorage();
+
+/** Run fn with the config revisions it writes attributed to `author` (defaults to "local"). */
+export function withConfigAuthor(author, fn) {
+  return authorContext.run({ author: author }, fn);
+}
+
+function historyDir(instanceId) {
+  return join(getNestDir(), "history", instanceId);
+}
+
+// Revision numbers on disk, oldest first
+function revisionNumbers(instanceId) {
+  var dir = historyDir(instanceId);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(function(name) { return /^\d+\.json$/.test(name); })
+    .map(function(name) { return parseInt(name, 10); })
+    .sort(function(a, b) { return a - b; });
+}
+
+/** A revision with its config, or null. */
+export function getRevision(instanceId, rev) {
+  try {
+    return JSON.parse(readFileSync(join(historyDir(instanceId), Number(rev) + ".json"), "utf-8"));
+  } catch {
+    return null;
+  }
+}
+
+/** The newest revision, or null. */
+export function latestRevision(instanceId) {
+  var revs = revisionNumbers(instanceId);
+  return revs.length ? getRevision(instanceId, revs[revs.length - 1]) : null;
+}
+
+/** Revisions without their configs, newest first. */
+export function listRevisions(instanceId) {
+  return revisionNumbers(instanceId).reverse().map(function(rev) {
+    var entry = getRevision(instanceId, rev) || { rev: rev };
+    return { rev: entry.rev, ts: entry.ts, author: entry.author, reason: entry.reason };
+  });
+}
+
+/**
+ * Record the config just written, unless it equals the newest revision.
+ * Never throws — history must not break the write.
+ * @returns {object|null} the new revision
+ */
+export function recordRevision(instanceId, config, reason) {
+  try {
+    var last = latestRevision(instanceId);
+    if (last && JSON.stringify(last.config) === JSON.stringify(config)) return null;
+    var ctx = authorContext.getStore();
+    var entry = {
+      rev: last ? last.rev + 1 : 1,
+      ts: new Date().toISOString(),
+      author: (ctx && ctx.author) || "local",
+      reason: reason || null,
+      config: config,
+    };
+    var dir = historyDir(instanceId);
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, entry.rev + ".json"), JSON.stringify(entry, null, 2), "utf-8");
+
+    var revs = revisionNumbers(instanceId);
+    revs.slice(0, Math.max(0, revs.length - MAX_REVISIONS)).forEach(function(rev) {
+      rmSync(join(dir, rev + ".json"), { force: true });
+    });
+    return entry;
+  } catch (err) {
+    console.error("Config history write failed: " + err.message);
+    return null;
+  }
+}
+
+/** Delete all revisions of an instance. */
+export function deleteHistory(instanceId) {
+  rmSync(historyDir(instanceId), { recursive: true, force: true });
+}
@@ -0,0 +1,416 @@
+import { join } from "node:path";
+import { existsSync, cpSync } from "node:fs";
+import { writeInstanceConfig, readInstanceConfig, replaceInstanceConfig, modelConfig } from "./configure.js";
+import { findModel, findProvider, defaultModel, normalizeModelParams, modelParamsOf, modelKey } from "./providers.js";
+import { validateOpenclawConfig } from "./config-schema.js";
+import { restoreRedacted, diffConfig } from "./audit.js";
+import { getRevision, latestRevision } from "./history.js";
+import { getAllInstances, getInstance, saveInstance, getNestDir } from "./store.js";
+import { getSecrets, providerApiKey } from "./secrets.js";
+import { accessSpec, readAccess, applyAccess } from "./access.js";
+import { listPairings } from "./pairing.js";
+import {
+  findChannel, validateCredentials, storedCredentials, requestedChannels, instanceChannels,
+  channelConfig, enableChannelPlugin,
+} from "./channels.js";
+
+function instanceDir(id) {
+  return join(getNestDir(), "instances", id);
+}
+
+/**
+ * Shape instance metadata + live status the way the API and CLI report it.
+ * `health` is the verdict of the last deep health check, if one is known.
+ */
+export function describeInstance(id, meta, liveStatus, engine, health) {
+  return {
+    id: id,
+    engine: meta.engine || engine.type,
+    port: meta.port,
+    status: liveStatus,
+    config: meta.config || {},
+    createdAt: meta.createdAt,
+    restartPolicy: meta.restartPolicy || null,
+    limits: meta.limits || null,
+    runtime: meta.runtime || null,
+    crashCount: meta.crashCount || 0,
+    restartCount: meta.restartCount || 0,
+    lastExit: meta.lastExit || null,
+    lastRestartAt: meta.lastRestartAt || null,
+    health: health || null,
+    pendingPairings: listPairings(id).length,
+  };
+}
+
+/**
+ * Build instances list with live status.
+ * @param {object} engine
+ * @param {function(string): boolean} [filter] - only include ids it accepts
+ * @param {function(string): Promise<string>} [statusOf] - status source, defaults to engine.status
+ * @param {function(string): (object|null)} [healthOf] - last deep health report of an instance
+ */
+export async function getInstancesList(engine, filter, statusOf, healthOf) {
+  var all = getAllInstances();
+  var result = [];
+  for (var id of Object.keys(all)) {
+    if (filter && !filter(id)) continue;
+    var liveStatus = statusOf ? await statusOf(id) : await engine.status(id);
+    var report = healthOf ? healthOf(id) : null;
+    result.push(describeInstance(id, all[id], liveStatus, engine, report && report.verdict));
+  }
+  return result;
+}
+
+/**
+ * Switch the primary model and/or model params of an instance and restart it.
+ * Throws if the instance or model is unknown, the params are invalid, or another
+ * provider needs a key that wasn't given.
+ */
+export async function updateInstanceModel(engine, id, modelId, apiKey, params) {
+  setInstanceModel(id, modelId, apiKey, params);
+
+  // Restart if running
+  try { await engine.stop(id); await engine.start(id); } catch { /* ignore */ }
+}
+
+/**
+ * Write a primary model and model params into an instance's config and metadata,
+ * without restarting it. modelId null keeps the current model. Params given
+ * replace the current ones field by field (null resets a field); fallbacks equal
+ * to a new primary are dropped. Moving to another provider replaces the old
+ * provider entry; apiKey is required then if the new provider needs one, and
+ * otherwise keeps the current key.
+ * Throws if the instance or model is unknown or the params are invalid.
+ */
+export function setInstanceModel(id, modelId, apiKey, params) {
+  var meta = getInstance(id);
+  if (!meta) throw new Error("Instance \"" + id + "\" not found");
+  var cfg = meta.config || {};
+
+  modelId = modelId || cfg.modelId || defaultModel().id;
+  var model = findModel(modelId);
+  if (!model) throw new Error("Unknown model: " + modelId);
+  var provider = findProvider(model.provider);
+
+  var current = Object.assign({}, cfg.modelParams);
+  current.fallbacks = (current.fallbacks || []).filter(function(f) { return f !== model.id; });
+  var modelParams = normalizeModelParams(Object.assign(current, params), model);
+
+  var dir = instanceDir(id);
+  var existingCfg = readInstanceConfig(dir) || {};
+  var providers = existingCfg.models && existingCfg.models.providers || {};
+  var switching = !providers[provider.id];
+  if (switching && provider.apiKeyRequired && !apiKey) {
+    throw new Error("Switching to " + provider.name + " requires its API key");
+  }
+
+  var served = modelConfig(model, apiKey, modelParams);
+  // Providers that stay keep the ${ENV} key reference already in the file
+  Object.keys(served.providers).forEach(function(p) {
+    if (providers[p] && providers[p].apiKey && !served.providers[p].apiKey) served.providers[p].apiKey = providers[p].apiKey;
+  });
+  // Replaced rather than merged, so providers and fallbacks no longer used are dropped
+  existingCfg.models = Object.assign({}, existingCfg.models, { providers: served.providers });
+  existingCfg.agents = Object.assign({}, existingCfg.agents);
+  existingCfg.agents.defaults = Object.assign({}, existingCfg.agents.defaults, { model: served.model });
+  replaceInstanceConfig(dir, existingCfg, cfg.modelId === model.id ? "model params" : "model " + model.id);
+
+  // Update metadata
+  meta.config = Object.assign({}, cfg, { modelId: model.id, modelParams: modelParams });
+  saveInstance(id, meta);
+}
+
+function configError(message, errors) {
+  var err = new Error(message);
+  err.code = "ECONFIG";
+  err.errors = errors || [];
+  return err;
+}
+
+// Catalog id of an OpenClaw model ref ("<provider>/<model>"), or the ref itself if not in the catalog
+function catalogId(ref) {
+  var slash = ref.indexOf("/");
+  var model = slash === -1 ? null : findModel(modelKey(ref.slice(0, slash), ref.slice(slash + 1)));
+  return model ? model.id : ref;
+}
+
+/**
+ * Keep the model and model params in the metadata in step with a written config:
+ * agents.defaults.model, and how the primary's definition differs from the catalog.
+ */
+function followConfigModel(id, cfg) {
+  var ref = cfg.agents && cfg.agents.defaults && cfg.agents.defaults.model;
+  if (!ref || !ref.primary) return;
+  var meta = getInstance(id);
+  var modelId = catalogId(ref.primary);
+  var params = { fallbacks: (ref.fallbacks || []).map(catalogId), maxTokens: null, reasoning: null, cost: null };
+  var slash = ref.primary.indexOf("/");
+  var provider = cfg.models && cfg.models.providers && cfg.models.providers[ref.primary.slice(0, slash)];
+  var def = provider && (provider.models || []).find(function(m) { return m.id === ref.primary.slice(slash + 1); });
+  var model = findModel(modelId);
+  if (def && model) {
+    if (def.maxTokens && def.maxTokens !== model.maxTokens) params.maxTokens = def.maxTokens;
+    if (typeof def.reasoning === "boolean" && def.reasoning !== !!model.reasoning) params.reasoning = def.reasoning;
+    if (def.cost && Object.keys(def.cost).some(function(k) { return def.cost[k]; })) params.cost = def.cost;
+  }
+  meta.config = Object.assign({}, meta.config, { modelId: modelId, modelParams: params });
+  saveInstance(id, meta);
+}
+
+// `channel` stays the primary channel for clients that predate `channels`
+function saveChannels(id, channels) {
+  var meta = getInstance(id);
+  meta.config = Object.assign({}, meta.config, { channel: channels[0], channels: channels });
+  saveInstance(id, meta);
+}
+
+/** Keep the channels in the metadata in step with the channels.<id> sections of a written config. */
+function followConfigChannels(id, cfg) {
+  var present = Object.keys(cfg.channels || {}).filter(function(c) { return findChannel(c); });
+  if (!present.length) return;
+  var kept = instanceChannels(getInstance(id)).filter(function(c) { return present.indexOf(c) !== -1; });
+  saveChannels(id, kept.concat(present.filter(function(c) { return kept.indexOf(c) === -1; })));
+}
+
+async function restartIfRunning(engine, id) {
+  if ((await engine.status(id)) !== "running") return false;
+  await engine.stop(id);
+  await engine.start(id);
+  return true;
+}
+
+/**
+ * Replace the openclaw.json of an instance with an edited copy of the one
+ * GET /instances/:id/config returns, and restart the instance if it is running.
+ * Masked credentials ("***") keep their values. Throws (err.code "ECONFIG",
+ * err.errors) if the result is invalid or changes gateway.port, which Nest assigns.
+ * The model in the metadata follows agents.defaults.model.
+ * @param {object} [opts] - { dryRun: only compute the changes }
+ * @returns {Promise<{ changes: Array<{ path: string, before: *, after: * }>, restarted: boolean }>}
+ */
+export async function editInstanceConfig(engine, id, edited, opts) {
+  opts = opts || {};
+  if (!getInstance(id)) throw new Error("Instance \"" + id + "\" not found");
+  var dir = instanceDir(id);
+  var current = readInstanceConfig(dir);
+  if (!current) throw new Error("Config not found for instance: " + id);
+  if (!edited || typeof edited !== "object" || Array.isArray(edited)) throw configError("config must be a JSON object");
+
+  var cfg;
+  try { cfg = restoreRedacted(edited, current); } catch (err) { throw configError(err.message); }
+  var errors = validateOpenclawConfig(cfg);
+  var port = current.gateway && current.gateway.port;
+  if (port && !(cfg.gateway && cfg.gateway.port === port)) {
+    errors.push({ path: "gateway.port", message: "is managed by Nest and must stay " + port });
+  }
+  if (errors.length) throw configError("Invalid config: " + errors[0].path + " " + errors[0].message, errors);
+
+  var changes = diffConfig(current, cfg);
+  if (opts.dryRun || !changes.length) return { changes: changes, restarted: false };
+
+  replaceInstanceConfig(dir, cfg, "config edit");
+  followConfigModel(id, cfg);
+  followConfigChannels(id, cfg);
+  return { changes: changes, restarted: await restartIfRunning(engine, id) };
+}
+
+/**
+ * Restore the openclaw.json of an instance from a revision (as a new revision)
+ * and restart the instance if it is running. gateway.port stays as it is now,
+ * and credentials keep their current vault values.
+ * @returns {Promise<{ rev: number|null, changes: Array<object>, restarted: boolean }|null>}
+ *   null if there is no such revision; rev is the new revision, null if nothing changed
+ */
+export async function revertInstanceConfig(engine, id, rev) {
+  if (!getInstance(id)) throw new Error("Instance \"" + id + "\" not found");
+  var revision = getRevision(id, rev);
+  if (!revision) return null;
+  var dir = instanceDir(id);
+  var current = readInstanceConfig(dir) || {};
+  var cfg = JSON.parse(JSON.stringify(revision.config));
+  if (current.gateway && current.gateway.port) cfg.gateway = Object.assign({}, cfg.gateway, { port: current.gateway.port });
+
+  var changes = diffConfig(current, cfg);
+  if (!changes.length) return { rev: null, changes: changes, restarted: false };
+  replaceInstanceConfig(dir, cfg, "revert to revision " + revision.rev);
+  followConfigModel(id, cfg);
+  followConfigChannels(id, cfg);
+  return { rev: latestRevision(id).rev, changes: changes, restarted: await restartIfRunning(engine, id) };
+}
+
+/**
+ * Add a channel to an instance: its channels.<id> section and plugin entry, then a
+ * restart if the instance is running. Throws on unknown channels and incomplete
+ * credentials (see validateCredentials).
+ * @returns {Promise<{ channels: string[], restarted: boolean }|null>} null if the instance already has it
+ */
+export async function addInstanceChannel(engine, id, channel, credentials) {
+  var meta = getInstance(id);
+  if (!meta) throw new Error("Instance \"" + id + "\" not found");
+  if (!findChannel(channel)) throw new Error("Unknown channel: " + channel);
+  var channels = instanceChannels(meta);
+  if (channels.indexOf(channel) !== -1) return null;
+  validateCredentials(channel, credentials);
+
+  var patch = { channels: {} };
+  patch.channels[channel] = channelConfig(channel, credentials);
+  writeInstanceConfig(instanceDir(id), enableChannelPlugin(patch, channel), "add channel " + channel);
+  channels.push(channel);
+  saveChannels(id, channels);
+  return { channels: channels, restarted: await restartIfRunning(engine, id) };
+}
+
+/**
+ * Remove a channel from an instance, with its plugin entry, then restart the
+ * instance if it is running. Its credentials stay in the vault, so reverting to
+ * an earlier config revision brings it back. An instance keeps at least one channel.
+ * @returns {Promise<{ channels: string[], restarted: boolean }|null>} null if the instance doesn't have it
+ */
+export async function removeInstanceChannel(engine, id, channel) {
+  var meta = getInstance(id);
+  if (!meta) throw new Error("Instance \"" + id + "\" not found");
+  var channels = instanceChannels(meta);
+  if (channels.indexOf(channel) === -1) return null;
+  if (channels.length === 1) throw new Error("Can't remove the only channel of an instance");
+
+  var dir = instanceDir(id);
+  var cfg = readInstanceConfig(dir) || {};
+  if (cfg.channels) delete cfg.channels[channel];
+  if (cfg.plugins && cfg.plugins.entries) delete cfg.plugins.entries[channel];
+  replaceInstanceConfig(dir, cfg, "remove channel " + channel);
+  channels.splice(channels.indexOf(channel), 1);
+  saveChannels(id, channels);
+  return { channels: channels, restarted: await restartIfRunning(engine, id) };
+}
+
+/**
+ * Access settings (see access.js) of the channels of an instance that Nest manages.
+ * @returns {{ channels: Object<string, object> }}
+ */
+export function getInstanceAccess(id) {
+  var meta = getInstance(id);
+  if (!meta) throw new Error("Instance \"" + id + "\" not found");
+  var cfg = readInstanceConfig(instanceDir(id)) || {};
+  var out = {};
+  var stored = meta.access || {};
+  instanceChannels(meta).filter(accessSpec).forEach(function(channel) {
+    out[channel] = readAccess(channel, (cfg.channels || {})[channel], stored[channel]);
+  });
+  return { channels: out };
+}
+
+/**
+ * Update the access settings of some channels of an instance ({ channels: { <id>:
+ * partial settings } }) and restart it if it is running and anything changed.
+ * Throws (err.code "ECONFIG") on channels the instance lacks and invalid settings.
+ * @returns {Promise<{ channels: Object<string, object>, changes: Array<object>, restarted: boolean }>}
+ */
+export async function updateInstanceAccess(engine, id, update) {
+  var meta = getInstance(id);
+  if (!meta) throw new Error("Instance \"" + id + "\" not found");
+  var updates = update && update.channels;
+  if (!updates || typeof updates !== "object" || Array.isArray(updates)) throw configError("channels must be an object");
+  var dir = instanceDir(id);
+  var current = readInstanceConfig(dir);
+  if (!current) throw new Error("Config not found for instance: " + id);
+
+  var channels = instanceChannels(meta);
+  var cfg = JSON.parse(JSON.stringify(current));
+  cfg.channels = cfg.channels || {};
+  var stored = Object.assign({}, meta.access);
+  Object.keys(updates).forEach(function(channel) {
+    if (channels.indexOf(channel) === -1) throw configError("Instance has no channel " + channel);
+    if (!accessSpec(channel)) throw configError("Access of " + channel + " can't be managed");
+    var applied = applyAccess(channel, cfg.channels[channel], updates[channel], stored[channel]);
+    cfg.channels[channel] = applied.section;
+    stored[channel] = applied.stored;
+  });
+  // Settings Nest keeps for the channels (the default mention rule under a group allowlist)
+  meta.access = stored;
+  saveInstance(id, meta);
+
+  var changes = diffConfig(current, cfg);
+  var restarted = false;
+  if (changes.length) {
+    replaceInstanceConfig(dir, cfg, "access " + Object.keys(updates).join(", "));
+    restarted = await restartIfRunning(engine, id);
+  }
+  return { channels: getInstanceAccess(id).channels, changes: changes, restarted: restarted };
+}
+
+/**
+ * Build what's needed to deploy a clone of an instance: the source openclaw.json
+ * as a base config, and deploy settings defaulting to the source's model, model params
+ * and credentials.
+ * @param {string} sourceId
+ * @param {object} overrides - { apiKey, model, fallbacks, maxTokens, reasoning, cost } and
+ *   channels with credentials as in requestedChannels; the source's channels by default
+ * @returns {{ deployConfig: object, baseConfig: object }}
+ */
+export function prepareClone(sourceId, overrides) {
+  var sourceMeta = getInstance(sourceId);
+  if (!sourceMeta) throw new Error("Instance \"" + sourceId + "\" not found");
+  var baseConfig = readInstanceConfig(instanceDir(sourceId));
+  if (!baseConfig) throw new Error("Config not found for instance: " + sourceId);
+
+  var sourceCfg = sourceMeta.config || {};
+  var secrets = getSecrets(sourceId);
+  var sourceChannels = instanceChannels(sourceMeta);
+  var channels = requestedChannels(overrides, sourceChannels);
+
+  var modelId = (overrides.model || sourceCfg.modelId || defaultModel().id).trim();
+  var model = findModel(modelId);
+  if (!model) throw new Error("Unknown model: " + modelId);
+  var params = Object.assign({}, sourceCfg.modelParams);
+  params.fallbacks = (params.fallbacks || []).filter(function(f) { return f !== model.id; });
+  var modelParams = normalizeModelParams(Object.assign(params, modelParamsOf(overrides)), model);
+
+  var deployConfig = {
+    apiKey: (overrides.apiKey || providerApiKey(secrets, model.provider)).trim(),
+    modelId: modelId,
+    modelParams: modelParams,
+    channels: channels.map(function(c) {
+      var shared = sourceChannels.indexOf(c.channel) !== -1;
+      var inherited = shared ? storedCredentials(c.channel, baseConfig, secrets) : {};
+      return { channel: c.channel, credentials: Object.assign(inherited, c.credentials), shared: shared };
+    }),
+  };
+  if (!deployConfig.apiKey && findProvider(model.provider).apiKeyRequired) throw new Error("API Key required");
+  deployConfig.channels.forEach(function(c) {
+    validateCredentials(c.channel, c.credentials);
+    // One gateway per bot connection: a clone can't reuse these
+    var def = findChannel(c.channel);
+    def.fields.forEach(function(f) {
+      if (f.unique && c.shared && c.credentials[f.key] === secrets[f.vaultKey]) {
+        throw new Error("A clone needs its own " + def.name + " " + f.label);
+      }
+    });
+    delete c.shared;
+  });
+
+  // The model section is generated again from the deploy settings
+  if (baseConfig.models) delete baseConfig.models.providers;
+  if (baseConfig.agents && baseConfig.agents.defaults) delete baseConfig.agents.defaults.model;
+  // Drop the source's channels the clone doesn't use
+  sourceChannels.forEach(function(id) {
+    if (channels.some(function(c) { return c.channel === id; })) return;
+    if (baseConfig.channels) delete baseConfig.channels[id];
+    if (baseConfig.plugins && baseConfig.plugins.entries) delete baseConfig.plugins.entries[id];
+  });
+  // The clone's onboarding sets up its own gateway credentials and workspace path
+  if (baseConfig.gateway && baseConfig.gateway.auth) delete baseConfig.gateway.auth.token;
+  if (baseConfig.agents && baseConfig.agents.defaults) delete baseConfig.agents.defaults.workspace;
+
+  return { deployConfig: deployConfig, baseConfig: baseConfig };
+}
+
+/**
+ * Copy the agent workspace (persona, memory files) from one instance to another,
+ * before the target is onboarded (onboarding keeps workspace files that exist).
+ * Sessions, logs and credentials are left behind.
+ */
+export function copyWorkspace(sourceId, targetId) {
+  var src = join(instanceDir(sourceId), "workspace");
+  if (!existsSync(src)) return;
+  cpSync(src, join(instanceDir(targetId), "workspace"), { recursive: true });
+}
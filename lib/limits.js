@@ -0,0 +1,162 @@
+import { getAllInstances } from "./store.js";
+import { getSetting, setSetting } from "./auth.js";
+
+/**
+ * Per-instance resource limits (Docker engine) and nest-wide quotas.
+ *
+ * Limits are { memory (bytes), cpus, pids }. In config.json "limits" holds the
+ * defaults; an instance's own `limits` override them field by field, where 0
+ * means "unlimited" and null/missing means "use the default".
+ * "quota" is { maxInstances, maxMemory (bytes) }, null for no quota.
+ */
+
+export var LIMIT_KEYS = ["memory", "cpus", "pids"];
+var QUOTA_KEYS = ["maxInstances", "maxMemory"];
+var MIN_MEMORY = 6 * 1024 * 1024; // Docker refuses anything smaller
+var UNITS = { b: 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+
+/** Parse a memory size: bytes as a number, or a string such as "512m" or "1.5g". */
+export function parseMemory(value) {
+  if (typeof value === "number") return value;
+  var m = /^\s*(\d+(?:\.\d+)?)\s*([bkmg])?i?b?\s*$/i.exec(String(value));
+  if (!m) throw new Error("Invalid memory size: " + value);
+  return Math.round(Number(m[1]) * UNITS[(m[2] || "b").toLowerCase()]);
+}
+
+function formatMemory(bytes) {
+  if (bytes % UNITS.g === 0) return bytes / UNITS.g + "g";
+  return Math.round(bytes / UNITS.m) + "m";
+}
+
+/**
+ * Validate limits, converting memory to bytes. Missing, null and "" fields stay
+ * null; 0 is kept (unlimited). Throws on bad input.
+ */
+export function normalizeLimits(limits) {
+  limits = limits || {};
+  if (typeof limits !== "object" || Array.isArray(limits)) throw new Error("limits must be an object");
+  Object.keys(limits).forEach(function(k) {
+    if (LIMIT_KEYS.indexOf(k) === -1) throw new Error("Unknown limit: " + k + " (expected " + LIMIT_KEYS.join(", ") + ")");
+  });
+  var out = { memory: null, cpus: null, pids: null };
+  if (limits.memory != null && limits.memory !== "") {
+    out.memory = parseMemory(limits.memory);
+    if (!Number.isFinite(out.memory) || out.memory < 0) throw new Error("Invalid memory size: " + limits.memory);
+    if (out.memory && out.memory < MIN_MEMORY) throw new Error("memory must be at least 6m");
+  }
+  if (limits.cpus != null && limits.cpus !== "") {
+    out.cpus = Number(limits.cpus);
+    if (!Number.isFinite(out.cpus) || out.cpus < 0) throw new Error("cpus must be a non-negative number");
+  }
+  if (limits.pids != null && limits.pids !== "") {
+    out.pids = Number(limits.pids);
+    if (!Number.isInteger(out.pids) || out.pids < 0) throw new Error("pids must be a non-negative integer");
+  }
+  return out;
+}
+
+/** Nest-wide default limits. */
+export function getDefaultLimits() {
+  return normalizeLimits(getSetting("limits"));
+}
+
+/** Nest-wide quota: { maxInstances, maxMemory }, each null when unset. */
+export function getQuota() {
+  var q = getSetting("quota") || {};
+  return { maxInstances: q.maxInstances || null, maxMemory: q.maxMemory || null };
+}
+
+/**
+ * Save default limits and/or the quota. Throws on bad input.
+ * @param {object} changes - { defaults?: limits, quota?: { maxInstances, maxMemory } }
+ */
+export function saveLimitSettings(changes) {
+  var defaults = changes.defaults !== undefined ? normalizeLimits(changes.defaults) : null;
+  var quota = null;
+  if (changes.quota !== undefined) {
+    var q = changes.quota || {};
+    if (typeof q !== "object" || Array.isArray(q)) throw new Error("quota must be an object");
+    Object.keys(q).forEach(function(k) {
+      if (QUOTA_KEYS.indexOf(k) === -1) throw new Error("Unknown quota: " + k + " (expected " + QUOTA_KEYS.join(", ") + ")");
+    });
+    quota = { maxInstances: null, maxMemory: null };
+    if (q.maxInstances != null && q.maxInstances !== "") {
+      quota.maxInstances = Number(q.maxInstances);
+      if (!Number.isInteger(quota.maxInstances) || quota.maxInstances < 0) throw new Error("maxInstances must be a non-negative integer");
+    }
+    if (q.maxMemory != null && q.maxMemory !== "") {
+      quota.maxMemory = parseMemory(q.maxMemory);
+      if (!Number.isFinite(quota.maxMemory) || quota.maxMemory < 0) throw new Error("Invalid maxMemory: " + q.maxMemory);
+    }
+  }
+  if (defaults) setSetting("limits", defaults);
+  if (quota) setSetting("quota", quota);
+}
+
+/** Limits that apply to an instance: its own, falling back to the defaults. 0 becomes null (unlimited). */
+export function effectiveLimits(meta, defaults) {
+  defaults = defaults || getDefaultLimits();
+  var own = (meta && meta.limits) || {};
+  var out = {};
+  LIMIT_KEYS.forEach(function(k) {
+    var v = own[k] != null ? own[k] : defaults[k];
+    out[k] = v || null;
+  });
+  return out;
+}
+
+/** Docker HostConfig resource fields for effective limits (swap is disabled when memory is capped). */
+export function dockerResources(limits) {
+  return {
+    Memory: limits.memory || 0,
+    MemorySwap: limits.memory || 0,
+    NanoCpus: limits.cpus ? Math.round(limits.cpus * 1e9) : 0,
+    PidsLimit: limits.pids || 0,
+  };
+}
+
+function quotaError(message) {
+  var err = new Error(message);
+  err.code = "EQUOTA";
+  return err;
+}
+
+/**
+ * Throw (err.code "EQUOTA") if adding or changing an instance would exceed the nest quota.
+ * @param {object} opts - { engineType, limits: effective limits of the instance, excludeId: instance being changed }
+ */
+export function checkQuota(opts) {
+  var quota = getQuota();
+  var all = getAllInstances();
+  var others = Object.keys(all).filter(function(id) { return id !== opts.excludeId; });
+  if (!opts.excludeId && quota.maxInstances && others.length >= quota.maxInstances) {
+    throw quotaError("Quota exceeded: at most " + quota.maxInstances + " instance(s)");
+  }
+  // Memory limits only exist on Docker
+  if (!quota.maxMemory || opts.engineType !== "docker") return;
+  if (!opts.limits.memory) {
+    throw quotaError("Quota requires a memory limit (nest memory quota is " + formatMemory(quota.maxMemory) + ")");
+  }
+  var defaults = getDefaultLimits();
+  var used = others.reduce(function(sum, id) {
+    return sum + (all[id].engine === "docker" ? effectiveLimits(all[id], defaults).memory || 0 : 0);
+  }, 0);
+  if (used + opts.limits.memory > quota.maxMemory) {
+    throw quotaError("Quota exceeded: " + formatMemory(used) + " of " + formatMemory(quota.maxMemory) +
+      " memory already allocated, " + formatMemory(opts.limits.memory) + " more requested");
+  }
+}
+
+/** Quota usage for GET /limits. */
+export function quotaUsage() {
+  var all = getAllInstances();
+  var defaults = getDefaultLimits();
+  var usage = { instances: Object.keys(all).length, memory: 0, unlimitedMemory: 0 };
+  Object.keys(all).forEach(function(id) {
+    if (all[id].engine !== "docker") return;
+    var memory = effectiveLimits(all[id], defaults).memory;
+    if (memory) usage.memory += memory;
+    else usage.unlimitedMemory++;
+  });
+  return usage;
+}
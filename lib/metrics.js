@@ -0,0 +1,81 @@
+import { getAllInstances } from "./store.js";
+
+/**
+ * Rolling in-memory resource history per instance, sampled from engine.stats().
+ * History is lost on restart; it only backs the sparklines and GET /instances/:id/metrics.
+ */
+
+export var SAMPLE_INTERVAL = 10000;
+var HISTORY_SIZE = 90; // 15 minutes
+
+/**
+ * Sample every running instance once per interval.
+ * @param {import("./engine/interface.js").InstanceEngine} engine
+ * @returns {{ metricsOf: function(string): Promise<object>, latestOf: function(string): (object|null), stop: function() }}
+ */
+export function startMetricsCollector(engine) {
+  var history = new Map(); // id -> [{ ts, cpuPercent, memoryBytes }]
+  var latest = new Map();  // id -> last engine.stats() result
+  var busy = false;
+
+  function record(id, stats) {
+    if (!stats) {
+      latest.delete(id);
+      return;
+    }
+    latest.set(id, stats);
+    var points = history.get(id) || [];
+    points.push({ ts: new Date().toISOString(), cpuPercent: stats.cpuPercent, memoryBytes: stats.memoryBytes });
+    if (points.length > HISTORY_SIZE) points.shift();
+    history.set(id, points);
+  }
+
+  async function tick() {
+    if (busy) return;
+    busy = true;
+    try {
+      var ids = Object.keys(getAllInstances());
+      for (var id of history.keys()) {
+        if (ids.indexOf(id) === -1) { history.delete(id); latest.delete(id); }
+      }
+      // Docker's one-shot stats take a second or two each, so sample in parallel
+      await Promise.all(ids.map(async function(id) {
+        try { record(id, await engine.stats(id)); } catch { /* engine unavailable, retry next tick */ }
+      }));
+    } finally {
+      busy = false;
+    }
+  }
+
+  var timer = setInterval(function() { tick(); }, SAMPLE_INTERVAL);
+  timer.unref();
+  tick();
+
+  return {
+    /**
+     * Current usage plus history of one instance. Samples it now if the
+     * collector hasn't yet (e.g. just started).
+     */
+    metricsOf: async function(id) {
+      if (!latest.has(id) && !busy) record(id, await engine.stats(id));
+      var stats = latest.get(id) || null;
+      var current = null;
+      if (stats) {
+        current = Object.assign({}, stats);
+        current.uptimeSeconds = stats.startedAt ? Math.max(0, Math.round((Date.now() - Date.parse(stats.startedAt)) / 1000)) : null;
+      }
+      return {
+        instance: id,
+        running: !!stats,
+        current: current,
+        interval: SAMPLE_INTERVAL / 1000,
+        history: history.get(id) || [],
+      };
+    },
+    /** Last sampled engine.stats() of an instance, or null if it wasn't running. */
+    latestOf: function(id) {
+      return latest.get(id) || null;
+    },
+    stop: function() { clearInterval(timer); },
+  };
+}
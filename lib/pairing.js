@@ -0,0 +1,115 @@
+import { existsSync, mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { getInstance, getNestDir } from "./store.js";
+import { instanceChannels } from "./channels.js";
+
+/**
+ * Pairing requests of an instance. Under dmPolicy "pairing" OpenClaw answers an
+ * unknown sender with a code and keeps the request in its state dir, as
+ * credentials/<channel>-pairing.json ({ version, requests: [{ id, code, createdAt,
+ * lastSeenAt, meta }] }), for an hour. Approved senders go to
+ * credentials/<channel>-allowFrom.json ({ version, allowFrom }), which the gateway
+ * reads on every message, so approving needs no restart. These are the files
+ * `openclaw pairing list|approve` works with.
+ */
+
+export var PENDING_TTL = 60 * 60 * 1000;
+
+function credentialsDir(instanceId) {
+  return join(getNestDir(), "instances", instanceId, "credentials");
+}
+
+function readStore(path, key) {
+  try {
+    var data = JSON.parse(readFileSync(path, "utf-8"));
+    return Array.isArray(data[key]) ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+// Atomic, so the gateway never reads half a file
+function writeStore(path, data) {
+  mkdirSync(dirname(path), { recursive: true });
+  writeFileSync(path + ".tmp", JSON.stringify(data, null, 2) + "\n", "utf-8");
+  renameSync(path + ".tmp", path);
+}
+
+function pairingPath(instanceId, channel) {
+  return join(credentialsDir(instanceId), channel + "-pairing.json");
+}
+
+function pending(request) {
+  return !!request.id && !!request.code && !(Date.now() - Date.parse(request.createdAt) > PENDING_TTL);
+}
+
+// Display name from the sender details the channel plugin recorded
+function requesterName(meta) {
+  meta = meta || {};
+  var full = [meta.firstName, meta.lastName].filter(Boolean).join(" ");
+  return meta.name || full || (meta.username ? "@" + meta.username : null);
+}
+
+/**
+ * Pending pairing requests on the channels of an instance, newest first.
+ * @returns {Array<{ channel: string, id: string, code: string, name: string|null, username: string|null, createdAt: string, lastSeenAt: string }>}
+ */
+export function listPairings(instanceId) {
+  var meta = getInstance(instanceId);
+  if (!meta) return [];
+  var out = [];
+  instanceChannels(meta).forEach(function(channel) {
+    var store = readStore(pairingPath(instanceId, channel), "requests");
+    if (!store) return;
+    store.requests.filter(pending).forEach(function(r) {
+      out.push({
+        channel: channel,
+        id: String(r.id),
+        code: r.code,
+        name: requesterName(r.meta),
+        username: (r.meta && r.meta.username) || null,
+        createdAt: r.createdAt || null,
+        lastSeenAt: r.lastSeenAt || r.createdAt || null,
+      });
+    });
+  });
+  return out.sort(function(a, b) { return String(b.createdAt).localeCompare(String(a.createdAt)); });
+}
+
+// Take a request off the pending list; null if there is no such pending request
+function takeRequest(instanceId, channel, code) {
+  var meta = getInstance(instanceId);
+  if (!meta || instanceChannels(meta).indexOf(channel) === -1) return null;
+  var path = pairingPath(instanceId, channel);
+  var store = existsSync(path) && readStore(path, "requests");
+  if (!store) return null;
+  var request = store.requests.find(function(r) { return r.code === code && pending(r); });
+  if (!request) return null;
+  store.requests = store.requests.filter(function(r) { return r !== request; });
+  writeStore(path, store);
+  return request;
+}
+
+/**
+ * Approve a pairing request: the sender joins the channel's pairing allowlist.
+ * @returns {{ channel: string, id: string }|null} null if there is no such pending request
+ */
+export function approvePairing(instanceId, channel, code) {
+  var request = takeRequest(instanceId, channel, code);
+  if (!request) return null;
+  var path = join(credentialsDir(instanceId), channel + "-allowFrom.json");
+  var store = readStore(path, "allowFrom") || { version: 1, allowFrom: [] };
+  var id = String(request.id);
+  if (store.allowFrom.map(String).indexOf(id) === -1) store.allowFrom.push(id);
+  writeStore(path, store);
+  return { channel: channel, id: id };
+}
+
+/**
+ * Reject a pairing request. The sender can ask again with a new message.
+ * @returns {{ channel: string, id: string }|null} null if there is no such pending request
+ */
+export function rejectPairing(instanceId, channel, code) {
+  var request = takeRequest(instanceId, channel, code);
+  return request ? { channel: channel, id: String(request.id) } : null;
+}
@@ -0,0 +1,173 @@
+import { getAllInstances } from "./store.js";
+import { subscribe } from "./events.js";
+import { instanceChannels } from "./channels.js";
+
+/**
+ * Prometheus text exposition for GET /metrics. Instance gauges are read from the
+ * status monitor and metrics collector at scrape time; deploy and HTTP counters
+ * are accumulated in memory since the server started.
+ */
+
+var HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+var DEPLOY_BUCKETS = [10, 30, 60, 120, 300, 600, 1200];
+var HEALTH_CHECKS = ["status", "gateway", "channel", "logs"];
+var VERDICTS = ["healthy", "degraded", "down"];
+
+function escapeLabel(value) {
+  return String(value == null ? "" : value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, "\\\"");
+}
+
+function labelString(labels) {
+  var keys = Object.keys(labels);
+  if (keys.length === 0) return "";
+  return "{" + keys.map(function(k) { return k + "=\"" + escapeLabel(labels[k]) + "\""; }).join(",") + "}";
+}
+
+/** Histograms and counters keyed by their label set. */
+function histogram(buckets) {
+  var series = new Map();
+  return {
+    observe: function(labels, value) {
+      var key = labelString(labels);
+      var s = series.get(key);
+      if (!s) {
+        s = { labels: labels, counts: buckets.map(function() { return 0; }), sum: 0, count: 0 };
+        series.set(key, s);
+      }
+      buckets.forEach(function(b, i) { if (value <= b) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    lines: function(name) {
+      var out = [];
+      series.forEach(function(s) {
+        buckets.forEach(function(b, i) {
+          out.push(name + "_bucket" + labelString(Object.assign({}, s.labels, { le: String(b) })) + " " + s.counts[i]);
+        });
+        out.push(name + "_bucket" + labelString(Object.assign({}, s.labels, { le: "+Inf" })) + " " + s.count);
+        out.push(name + "_sum" + labelString(s.labels) + " " + s.sum);
+        out.push(name + "_count" + labelString(s.labels) + " " + s.count);
+      });
+      return out;
+    },
+  };
+}
+
+function counter() {
+  var series = new Map();
+  return {
+    inc: function(labels) {
+      var key = labelString(labels);
+      var s = series.get(key) || { labels: labels, value: 0 };
+      s.value++;
+      series.set(key, s);
+    },
+    lines: function(name) {
+      var out = [];
+      series.forEach(function(s) { out.push(name + labelString(s.labels) + " " + s.value); });
+      return out;
+    },
+  };
+}
+
+var httpDuration = histogram(HTTP_BUCKETS);
+var deployDuration = histogram(DEPLOY_BUCKETS);
+var deployFailures = counter();
+
+/**
+ * Express middleware timing every API request up to its response headers, so SSE
+ * streams count by how fast they open. Labelled by the route pattern (not the raw
+ * path) so instance ids don't multiply the series.
+ */
+export function httpMetricsMiddleware(req, res, next) {
+  var started = process.hrtime.bigint();
+  var writeHead = res.writeHead;
+  res.writeHead = function() {
+    res.writeHead = writeHead;
+    var route = req.route ? req.baseUrl + req.route.path : "unmatched";
+    var seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    httpDuration.observe({ method: req.method, route: route, status: String(arguments[0] || res.statusCode) }, seconds);
+    return writeHead.apply(res, arguments);
+  };
+  next();
+}
+
+/** Count deploys from the event bus (web deploys and fleet applies both publish there). */
+export function trackDeploys() {
+  return subscribe(function(event) {
+    if (event.type !== "deploy.done" && event.type !== "deploy.failed") return;
+    var ok = event.type === "deploy.done";
+    if (typeof event.durationMs === "number") {
+      deployDuration.observe({ instance: event.instance, outcome: ok ? "success" : "failure" }, event.durationMs / 1000);
+    }
+    if (!ok) deployFailures.inc({ instance: event.instance });
+  });
+}
+
+function metric(out, name, type, help, lines) {
+  out.push("# HELP " + name + " " + help);
+  out.push("# TYPE " + name + " " + type);
+  lines.forEach(function(l) { out.push(l); });
+}
+
+/**
+ * Render all metrics in the Prometheus text format.
+ * @param {object} sources
+ * @param {import("./engine/interface.js").InstanceEngine} sources.engine
+ * @param {{ statusOf: function, healthOf: function }} sources.monitor
+ * @param {{ latestOf: function }} sources.metrics
+ * @returns {Promise<string>}
+ */
+export async function renderMetrics(sources) {
+  var all = getAllInstances();
+  var info = [], up = [], health = [], checks = [], restarts = [], crashes = [], logErrors = [], cpu = [], memory = [], uptime = [];
+  for (var id of Object.keys(all)) {
+    var meta = all[id];
+    var cfg = meta.config || {};
+    var labels = { instance: id, engine: meta.engine || sources.engine.type, model: cfg.modelId || "", channel: instanceChannels(meta).join(",") };
+    var l = labelString(labels);
+    var status = await sources.monitor.statusOf(id);
+    info.push("openclaw_nest_instance_info" + labelString(Object.assign({}, labels, { status: status })) + " 1");
+    up.push("openclaw_nest_instance_up" + l + " " + (status === "running" ? 1 : 0));
+
+    var stats = sources.metrics.latestOf(id);
+    restarts.push("openclaw_nest_instance_restarts_total" + l + " " + Math.max(meta.restartCount || 0, stats ? stats.restarts : 0));
+    crashes.push("openclaw_nest_instance_crashes_total" + l + " " + (meta.crashCount || 0));
+    if (stats) {
+      cpu.push("openclaw_nest_instance_cpu_percent" + l + " " + stats.cpuPercent);
+      memory.push("openclaw_nest_instance_memory_bytes" + l + " " + stats.memoryBytes);
+      if (stats.startedAt) uptime.push("openclaw_nest_instance_uptime_seconds" + l + " " + Math.max(0, Math.round((Date.now() - Date.parse(stats.startedAt)) / 1000)));
+    }
+
+    var report = sources.monitor.healthOf(id);
+    if (!report) continue;
+    VERDICTS.forEach(function(v) {
+      health.push("openclaw_nest_instance_health" + labelString(Object.assign({}, labels, { verdict: v })) + " " + (report.verdict === v ? 1 : 0));
+    });
+    report.checks.forEach(function(c) {
+      if (HEALTH_CHECKS.indexOf(c.name) === -1 || c.status === "skip") return;
+      // 1 = pass, 0.5 = warn, 0 = fail
+      var value = c.status === "pass" ? 1 : c.status === "warn" ? 0.5 : 0;
+      // Channel checks are per channel
+      var checkLabels = Object.assign({}, labels, { check: c.name }, c.channel ? { channel: c.channel } : {});
+      checks.push("openclaw_nest_health_check" + labelString(checkLabels) + " " + value);
+      if (c.name === "logs") logErrors.push("openclaw_nest_instance_log_error_lines" + l + " " + (c.errorLines || 0));
+    });
+  }
+
+  var out = [];
+  metric(out, "openclaw_nest_instance_info", "gauge", "Instance metadata, always 1.", info);
+  metric(out, "openclaw_nest_instance_up", "gauge", "Whether the instance is running (1) or not (0).", up);
+  metric(out, "openclaw_nest_instance_health", "gauge", "Verdict of the last deep health check (1 for the current verdict).", health);
+  metric(out, "openclaw_nest_health_check", "gauge", "Result of each deep health check: 1 pass, 0.5 warn, 0 fail.", checks);
+  metric(out, "openclaw_nest_instance_log_error_lines", "gauge", "Error lines among the last 200 log lines.", logErrors);
+  metric(out, "openclaw_nest_instance_restarts_total", "counter", "Automatic restarts after crashes.", restarts);
+  metric(out, "openclaw_nest_instance_crashes_total", "counter", "Crashes detected by the supervisor.", crashes);
+  metric(out, "openclaw_nest_instance_cpu_percent", "gauge", "CPU usage in percent of one core.", cpu);
+  metric(out, "openclaw_nest_instance_memory_bytes", "gauge", "Memory in use.", memory);
+  metric(out, "openclaw_nest_instance_uptime_seconds", "gauge", "Seconds since the gateway started.", uptime);
+  metric(out, "openclaw_nest_deploy_duration_seconds", "histogram", "Deploy duration since the server started.", deployDuration.lines("openclaw_nest_deploy_duration_seconds"));
+  metric(out, "openclaw_nest_deploy_failures_total", "counter", "Failed deploys since the server started.", deployFailures.lines("openclaw_nest_deploy_failures_total"));
+  metric(out, "openclaw_nest_http_request_duration_seconds", "histogram", "API request latency.", httpDuration.lines("openclaw_nest_http_request_duration_seconds"));
+  return out.join("\n") + "\n";
+}
@@ -0,0 +1,241 @@
+import { getSetting, setSetting } from "./auth.js";
+
+/**
+ * Model providers and the model catalog. Built-in entries can be extended, or
+ * overridden by id, with custom ones kept in config.json under "providers" and
+ * "models"; deleting a custom entry brings back the built-in one it shadowed.
+ *
+ * A provider is { id, name, api, baseUrl, apiKeyRequired }, where api is the
+ * OpenClaw provider API. A model is { id, provider, model, name, contextWindow,
+ * maxTokens, reasoning }: `model` is the provider's name for it, `id` the catalog
+ * key used by the API, which is "<provider>/<model>" except on the default
+ * provider, whose models keep their bare ids.
+ *
+ * An instance can tune its primary model with model params (see normalizeModelParams):
+ * { fallbacks, maxTokens, reasoning, cost }, where null means "as in the catalog".
+ */
+
+export var DEFAULT_PROVIDER = "anthropic";
+export var PROVIDER_APIS = ["anthropic-messages", "openai-completions", "openai-responses"];
+
+var BUILTIN_PROVIDERS = [
+  { id: "anthropic", name: "EvoLink (Anthropic)", api: "anthropic-messages", baseUrl: "https://direct.evolink.ai", apiKeyRequired: true },
+  { id: "anthropic-direct", name: "Anthropic", api: "anthropic-messages", baseUrl: "https://api.anthropic.com", apiKeyRequired: true },
+  { id: "openai", name: "OpenAI", api: "openai-completions", baseUrl: "https://api.openai.com/v1", apiKeyRequired: true },
+  { id: "ollama", name: "Ollama", api: "openai-completions", baseUrl: "http://127.0.0.1:11434/v1", apiKeyRequired: false },
+];
+
+var CLAUDE_DEFAULTS = { contextWindow: 200000, maxTokens: 8192, reasoning: false };
+
+var BUILTIN_MODELS = [
+  { model: "claude-opus-4-6", name: "Claude Opus 4.6" },
+  { model: "claude-opus-4-5-20251101", name: "Claude Opus 4.5" },
+  { model: "claude-sonnet-4-5-20250929", name: "Claude Sonnet 4.5" },
+  { model: "claude-haiku-4-5-20251001", name: "Claude Haiku 4.5" },
+  { model: "claude-opus-4-1-20250805", name: "Claude Opus 4.1" },
+  { model: "claude-sonnet-4-20250514", name: "Claude Sonnet 4" },
+].map(function(m) {
+  return Object.assign({ id: m.model, provider: DEFAULT_PROVIDER }, m, CLAUDE_DEFAULTS);
+});
+
+export var MODEL_PARAM_KEYS = ["fallbacks", "maxTokens", "reasoning", "cost"];
+export var COST_KEYS = ["input", "output", "cacheRead", "cacheWrite"];
+
+var PROVIDER_ID_RE = /^[a-z0-9][a-z0-9-]{0,31}$/;
+var MODEL_NAME_RE = /^[A-Za-z0-9][A-Za-z0-9._:\/-]{0,127}$/;
+
+/** Catalog key of a provider's model. */
+export function modelKey(provider, model) {
+  return provider === DEFAULT_PROVIDER ? model : provider + "/" + model;
+}
+
+function customProviders() {
+  return getSetting("providers") || [];
+}
+
+function customModels() {
+  return getSetting("models") || [];
+}
+
+// Built-ins in their order, then custom additions; custom entries replace built-ins with the same id
+function overlay(builtIn, custom) {
+  var out = builtIn.map(function(entry) {
+    var own = custom.find(function(c) { return c.id === entry.id; });
+    return own ? Object.assign({}, own, { builtIn: true, custom: true }) : Object.assign({}, entry, { builtIn: true, custom: false });
+  });
+  custom.forEach(function(c) {
+    if (!builtIn.some(function(b) { return b.id === c.id; })) out.push(Object.assign({}, c, { builtIn: false, custom: true }));
+  });
+  return out;
+}
+
+/** All providers, built-in first. */
+export function listProviders() {
+  return overlay(BUILTIN_PROVIDERS, customProviders());
+}
+
+/** The model catalog, built-in first. The first entry is the default model. */
+export function listModels() {
+  return overlay(BUILTIN_MODELS, customModels());
+}
+
+export function findProvider(id) {
+  return listProviders().find(function(p) { return p.id === id; }) || null;
+}
+
+export function findModel(id) {
+  return listModels().find(function(m) { return m.id === id; }) || null;
+}
+
+export function defaultModel() {
+  return listModels()[0];
+}
+
+/**
+ * Add or replace a custom provider. Throws on bad input.
+ * @param {object} provider - { id, name, api, baseUrl, apiKeyRequired }
+ */
+export function saveProvider(provider) {
+  provider = provider || {};
+  var id = String(provider.id || "");
+  if (!PROVIDER_ID_RE.test(id)) throw new Error("Provider id must be lowercase letters, digits and hyphens (max 32)");
+  if (PROVIDER_APIS.indexOf(provider.api) === -1) throw new Error("api must be one of " + PROVIDER_APIS.join(", "));
+  var url;
+  try { url = new URL(String(provider.baseUrl || "")); } catch { url = null; }
+  if (!url || (url.protocol !== "http:" && url.protocol !== "https:")) throw new Error("baseUrl must be an http(s) URL");
+  var entry = {
+    id: id,
+    name: String(provider.name || id),
+    api: provider.api,
+    baseUrl: String(provider.baseUrl).replace(/\/+$/, ""),
+    apiKeyRequired: provider.apiKeyRequired !== false,
+  };
+  var list = customProviders().filter(function(p) { return p.id !== id; });
+  list.push(entry);
+  setSetting("providers", list);
+  return findProvider(id);
+}
+
+/**
+ * Delete a custom provider (a built-in one it overrode comes back).
+ * Throws if custom models still use a provider that would no longer exist.
+ * @returns {boolean} false if there was no custom provider with that id
+ */
+export function deleteProvider(id) {
+  var list = customProviders();
+  if (!list.some(function(p) { return p.id === id; })) return false;
+  var builtIn = BUILTIN_PROVIDERS.some(function(p) { return p.id === id; });
+  var users = customModels().filter(function(m) { return m.provider === id; });
+  if (!builtIn && users.length) {
+    throw new Error("Provider " + id + " is used by " + users.map(function(m) { return m.id; }).join(", "));
+  }
+  setSetting("providers", list.filter(function(p) { return p.id !== id; }));
+  return true;
+}
+
+/**
+ * Add or replace a custom catalog model. Throws on bad input.
+ * @param {object} model - { provider, model, name, contextWindow, maxTokens, reasoning }
+ */
+export function saveModel(model) {
+  model = model || {};
+  var provider = findProvider(model.provider || DEFAULT_PROVIDER);
+  if (!provider) throw new Error("Unknown provider: " + model.provider);
+  var name = String(model.model || "");
+  if (!MODEL_NAME_RE.test(name)) throw new Error("Invalid model name: " + model.model);
+  var entry = {
+    id: modelKey(provider.id, name),
+    provider: provider.id,
+    model: name,
+    name: String(model.name || name),
+    contextWindow: CLAUDE_DEFAULTS.contextWindow,
+    maxTokens: CLAUDE_DEFAULTS.maxTokens,
+    reasoning: !!model.reasoning,
+  };
+  ["contextWindow", "maxTokens"].forEach(function(k) {
+    if (model[k] == null || model[k] === "") return;
+    entry[k] = Number(model[k]);
+    if (!Number.isInteger(entry[k]) || entry[k] < 1) throw new Error(k + " must be a positive integer");
+  });
+  var list = customModels().filter(function(m) { return m.id !== entry.id; });
+  list.push(entry);
+  setSetting("models", list);
+  return findModel(entry.id);
+}
+
+/** Delete a custom catalog model. Returns false if there was none with that id. */
+export function deleteModel(id) {
+  var list = customModels();
+  if (!list.some(function(m) { return m.id === id; })) return false;
+  setSetting("models", list.filter(function(m) { return m.id !== id; }));
+  return true;
+}
+
+/** The model params given in a request body (fields that are absent are left out). */
+export function modelParamsOf(body) {
+  var out = {};
+  MODEL_PARAM_KEYS.forEach(function(k) {
+    if (body && body[k] !== undefined) out[k] = body[k];
+  });
+  return out;
+}
+
+/**
+ * Validate the model params of an instance against the catalog. Missing, null
+ * and "" fields stay null (catalog values, no fallbacks). Throws on bad input.
+ *
+ * Fallbacks are catalog ids tried in order when the primary model fails. The
+ * vault holds one API key per instance, so they must be served by the primary's
+ * provider or by one that needs no key.
+ * @param {object} [params] - { fallbacks, maxTokens, reasoning, cost }; cost is
+ *   { input, output, cacheRead, cacheWrite } in USD per million tokens
+ * @param {object} primary - catalog model the params apply to
+ * @returns {{ fallbacks: string[], maxTokens: number|null, reasoning: boolean|null, cost: object|null }}
+ */
+export function normalizeModelParams(params, primary) {
+  params = params || {};
+  if (typeof params !== "object" || Array.isArray(params)) throw new Error("Model params must be an object");
+  var out = { fallbacks: [], maxTokens: null, reasoning: null, cost: null };
+
+  var fallbacks = params.fallbacks;
+  if (typeof fallbacks === "string") fallbacks = fallbacks.split(",").map(function(f) { return f.trim(); }).filter(Boolean);
+  if (fallbacks != null && !Array.isArray(fallbacks)) throw new Error("fallbacks must be a list of model ids");
+  (fallbacks || []).forEach(function(id) {
+    var model = findModel(id);
+    if (!model) throw new Error("Unknown fallback model: " + id);
+    if (model.id === primary.id) throw new Error("Fallback " + id + " is the primary model");
+    if (out.fallbacks.indexOf(model.id) !== -1) throw new Error("Fallback " + id + " is listed twice");
+    if (model.provider !== primary.provider && findProvider(model.provider).apiKeyRequired) {
+      throw new Error("Fallback " + id + " is served by " + findProvider(model.provider).name +
+        ", which needs its own API key; fallbacks must use " + findProvider(primary.provider).name + " or a keyless provider");
+    }
+    out.fallbacks.push(model.id);
+  });
+
+  if (params.maxTokens != null && params.maxTokens !== "") {
+    out.maxTokens = Number(params.maxTokens);
+    if (!Number.isInteger(out.maxTokens) || out.maxTokens < 1) throw new Error("maxTokens must be a positive integer");
+    if (out.maxTokens > primary.contextWindow) {
+      throw new Error("maxTokens exceeds the " + primary.contextWindow + "-token context window of " + primary.name);
+    }
+  }
+
+  if (params.reasoning != null && params.reasoning !== "") {
+    if (typeof params.reasoning !== "boolean") throw new Error("reasoning must be true or false");
+    out.reasoning = params.reasoning;
+  }
+
+  if (params.cost != null && params.cost !== "") {
+    if (typeof params.cost !== "object" || Array.isArray(params.cost)) throw new Error("cost must be an object");
+    out.cost = {};
+    Object.keys(params.cost).forEach(function(k) {
+      if (COST_KEYS.indexOf(k) === -1) throw new Error("Unknown cost field: " + k + " (expected " + COST_KEYS.join(", ") + ")");
+    });
+    COST_KEYS.forEach(function(k) {
+      var v = params.cost[k];
+      out.cost[k] = v == null || v === "" ? 0 : Number(v);
+      if (!Number.isFinite(out.cost[k]) || out.cost[k] < 0) throw new Error("cost." + k + " must be a non-negative number");
+    });
+  }
+  return out;
+}
@@ -0,0 +1,160 @@
+import { spawn } from "node:child_process";
+import { existsSync, readdirSync, rmSync } from "node:fs";
+import { join } from "node:path";
+import { getNestDir } from "./store.js";
+
+/**
+ * Which OpenClaw an instance runs. An instance's `runtime` is { version, image },
+ * both null by default:
+ *   Docker  - `image` is used as is; otherwise `version` becomes a tag of the
+ *             default runtime image; otherwise the default image itself.
+ *   process - `version` is installed with npm under <nest>/runtimes/openclaw-<version>
+ *             so instances can run different versions side by side; without one
+ *             the global `openclaw` is used.
+ */
+
+var IS_WIN = process.platform === "win32";
+
+export var DEFAULT_IMAGE = process.env.NEST_RUNTIME_IMAGE || "pharmacist9527/openclaw-runtime:latest";
+
+// npm versions and dist-tags; also valid Docker tags except for "+" build metadata
+var VERSION_RE = /^[A-Za-z0-9][A-Za-z0-9._+-]{0,63}$/;
+// [registry[:port]/]path[:tag][@digest]
+var IMAGE_RE = /^[a-z0-9]+([._-][a-z0-9]+)*(:[0-9]+)?(\/[a-z0-9]+([._-][a-z0-9]+)*)*(:[A-Za-z0-9_][A-Za-z0-9_.-]{0,127})?(@sha256:[a-f0-9]{64})?$/;
+// The registry[:port] part of IMAGE_RE
+var REGISTRY_HOST_RE = /^[a-z0-9]+([._-][a-z0-9]+)*(:[0-9]+)?$/;
+
+/**
+ * Validate a runtime selection. Missing and "" fields become null. Throws on bad input.
+ * @param {object} [runtime] - { version, image }
+ * @param {string} [engineType] - "docker" also requires the version to be a valid image tag
+ * @returns {{ version: string|null, image: string|null }}
+ */
+export function normalizeRuntime(runtime, engineType) {
+  runtime = runtime || {};
+  if (typeof runtime !== "object" || Array.isArray(runtime)) throw new Error("runtime must be an object");
+  Object.keys(runtime).forEach(function(k) {
+    if (k !== "version" && k !== "image") throw new Error("Unknown runtime field: " + k + " (expected version, image)");
+  });
+  var out = { version: null, image: null };
+  if (runtime.version != null && runtime.version !== "") {
+    out.version = String(runtime.version).trim().replace(/^v(?=\d)/, "");
+    if (!VERSION_RE.test(out.version)) throw new Error("Invalid OpenClaw version: " + runtime.version);
+    if (engineType === "docker" && out.version.indexOf("+") !== -1) {
+      throw new Error("Invalid OpenClaw version: " + runtime.version + " (\"+\" can't be used in an image tag)");
+    }
+  }
+  if (runtime.image != null && runtime.image !== "") {
+    out.image = String(runtime.image).trim();
+    if (!IMAGE_RE.test(out.image)) throw new Error("Invalid image reference: " + runtime.image);
+  }
+  return out;
+}
+
+/** Image reference without its tag or digest. */
+function imageRepository(image) {
+  var at = image.indexOf("@");
+  if (at !== -1) image = image.slice(0, at);
+  var colon = image.lastIndexOf(":");
+  return colon > image.lastIndexOf("/") ? image.slice(0, colon) : image;
+}
+
+/** Docker image an instance runs. */
+export function runtimeImage(meta) {
+  var runtime = (meta && meta.runtime) || {};
+  if (runtime.image) return runtime.image;
+  if (runtime.version) return imageRepository(DEFAULT_IMAGE) + ":" + runtime.version;
+  return DEFAULT_IMAGE;
+}
+
+/**
+ * Registry host of an image, as used for stored credentials. Docker Hub images
+ * (no host part) return "docker.io".
+ */
+export function registryHost(image) {
+  var first = image.split("/")[0];
+  if (image.indexOf("/") !== -1 && (first.indexOf(".") !== -1 || first.indexOf(":") !== -1 || first === "localhost")) {
+    return first;
+  }
+  return "docker.io";
+}
+
+/** Whether a string is a valid registry host (with optional port) for stored credentials. */
+export function isRegistryHost(host) {
+  return REGISTRY_HOST_RE.test(host);
+}
+
+function runtimeDir(version) {
+  return join(getNestDir(), "runtimes", "openclaw-" + version);
+}
+
+function versionBin(version) {
+  return join(runtimeDir(version), "node_modules", ".bin", IS_WIN ? "openclaw.cmd" : "openclaw");
+}
+
+/** The `openclaw` executable an instance runs on the process engine. */
+export function openclawBin(meta) {
+  var version = meta && meta.runtime && meta.runtime.version;
+  return version ? versionBin(version) : "openclaw";
+}
+
+export function isVersionInstalled(version) {
+  return existsSync(versionBin(version));
+}
+
+/** OpenClaw versions installed under the nest dir for the process engine. */
+export function installedVersions() {
+  var dir = join(getNestDir(), "runtimes");
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .filter(function(name) { return name.startsWith("openclaw-"); })
+    .map(function(name) { return name.slice("openclaw-".length); })
+    .filter(isVersionInstalled)
+    .sort();
+}
+
+/**
+ * Install an OpenClaw version under the nest dir with npm, unless already there.
+ * Output lines go to onLine. Returns { promise, abort } like deployStream.
+ */
+export function installVersion(version, onLine) {
+  var child = null;
+  var promise = new Promise(function(resolve, reject) {
+    if (isVersionInstalled(version)) return resolve(versionBin(version));
+    var dir = runtimeDir(version);
+    child = spawn("npm", ["install", "--prefix", dir, "--no-audit", "--no-fund", "openclaw@" + version], {
+      stdio: ["ignore", "pipe", "pipe"],
+      shell: IS_WIN,
+      // Same GitHub-over-HTTPS rewrite as the global install
+      env: Object.assign({}, process.env, {
+        GIT_CONFIG_COUNT: "1",
+        GIT_CONFIG_KEY_0: "url.https://github.com/.insteadOf",
+        GIT_CONFIG_VALUE_0: "ssh://git@github.com/",
+      }),
+    });
+    var reason = "";
+    function onData(d) {
+      d.toString().split("\n").forEach(function(l) {
+        l = l.trim();
+        if (!l) return;
+        // The first npm error line after the error code says what went wrong
+        var m = /^npm (?:error|ERR!) (?!code )(.+)$/.exec(l);
+        if (m && !reason) reason = m[1];
+        if (onLine) onLine(l);
+      });
+    }
+    child.stdout.on("data", onData);
+    child.stderr.on("data", onData);
+    child.on("error", function(err) { reject(new Error("Failed to run npm: " + err.message)); });
+    child.on("close", function(code) {
+      if (code === 0 && isVersionInstalled(version)) return resolve(versionBin(version));
+      // Don't leave a half-installed version that looks usable
+      rmSync(dir, { recursive: true, force: true });
+      reject(new Error("Installing openclaw@" + version + " failed" + (reason ? ": " + reason : " (exit " + code + ")")));
+    });
+  });
+  return {
+    promise: promise,
+    abort: function() { if (child && !child.killed) child.kill(); },
+  };
+}
@@ -0,0 +1,295 @@
+import { readFileSync, writeFileSync, existsSync, chmodSync, renameSync, mkdirSync, rmSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { platform, homedir } from "node:os";
+import { randomBytes, createCipheriv, createDecipheriv, scryptSync } from "node:crypto";
+import { getNestDir } from "./store.js";
+import { channelSecretFields } from "./channels.js";
+
+var VAULT_VERSION = 1;
+
+/**
+ * Credentials that never stay in openclaw.json. Each one is replaced by an
+ * OpenClaw "${ENV}" reference and injected by the engine at start time.
+ * "*" matches any key, and each match gets its own vault key and env var: an
+ * instance with fallbacks on other providers keeps one API key per provider, as
+ * "apiKey:<provider>" in NEST_SECRET_API_KEY_<PROVIDER>. Channel credentials come
+ * from the channel registry (see channels.js).
+ */
+export var SECRET_FIELDS = [
+  { key: "apiKey", path: ["models", "providers", "*", "apiKey"], env: "NEST_SECRET_API_KEY" },
+].concat(channelSecretFields());
+
+function vaultFile() {
+  return join(getNestDir(), "secrets.vault");
+}
+
+function writePrivate(file, content) {
+  var tmp = file + ".tmp";
+  writeFileSync(tmp, content, "utf-8");
+  if (platform() !== "win32") {
+    try { chmodSync(tmp, 0o600); } catch { /* ignore */ }
+  }
+  renameSync(tmp, file);
+}
+
+var cachedKey = null;
+
+/**
+ * The master keyfile: NEST_MASTER_KEY_FILE, else one outside the nest dir, so
+ * whoever can read the vault there (a shared bind mount, a copy of the dir) doesn't
+ * get the key with it. Nests from before keep their <nest dir>/master.key, with a
+ * warning, until NEST_MASTER_KEY_FILE names a new place for it.
+ */
+function keyFile() {
+  var legacy = join(getNestDir(), "master.key");
+  var file = process.env.NEST_MASTER_KEY_FILE;
+  if (file) {
+    // A nest moving its key out takes the old one along
+    if (!existsSync(file) && existsSync(legacy)) {
+      mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+      writePrivate(file, readFileSync(legacy, "utf-8"));
+      rmSync(legacy);
+      console.log("Moved the master key from " + legacy + " to " + file);
+    }
+    return file;
+  }
+  if (!existsSync(legacy)) return join(homedir(), ".config", "openclaw-nest", "master.key");
+  console.warn("WARNING: the master key " + legacy + " sits next to the vault it encrypts; anyone who can read "
+    + "the nest dir can decrypt every secret. Point NEST_MASTER_KEY_FILE outside it (the key is moved there) or set NEST_MASTER_KEY.");
+  return legacy;
+}
+
+/**
+ * Master key: NEST_MASTER_KEY (any passphrase) wins, else the keyfile at
+ * NEST_MASTER_KEY_FILE or ~/.config/openclaw-nest/master.key, generated on first use.
+ */
+function masterKey() {
+  if (cachedKey) return cachedKey;
+  if (process.env.NEST_MASTER_KEY) {
+    cachedKey = scryptSync(process.env.NEST_MASTER_KEY, "openclaw-nest-vault", 32);
+    return cachedKey;
+  }
+  var file = keyFile();
+  if (existsSync(file)) {
+    var hex = readFileSync(file, "utf-8").trim();
+    if (!/^[0-9a-f]{64}$/i.test(hex)) throw new Error("Invalid master key file: " + file);
+    cachedKey = Buffer.from(hex, "hex");
+    return cachedKey;
+  }
+  cachedKey = randomBytes(32);
+  mkdirSync(dirname(file), { recursive: true, mode: 0o700 });
+  writePrivate(file, cachedKey.toString("hex") + "\n");
+  console.warn("Generated the master key " + file + ". Back it up: the secrets vault can't be decrypted without it.");
+  return cachedKey;
+}
+
+function encrypt(obj) {
+  var iv = randomBytes(12);
+  var cipher = createCipheriv("aes-256-gcm", masterKey(), iv);
+  var data = Buffer.concat([cipher.update(JSON.stringify(obj), "utf-8"), cipher.final()]);
+  return {
+    version: VAULT_VERSION,
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+function decrypt(box) {
+  var decipher = createDecipheriv("aes-256-gcm", masterKey(), Buffer.from(box.iv, "base64"));
+  decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+  var plain = Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]);
+  return JSON.parse(plain.toString("utf-8"));
+}
+
+function loadVault() {
+  var file = vaultFile();
+  if (!existsSync(file)) return {};
+  try {
+    return decrypt(JSON.parse(readFileSync(file, "utf-8")));
+  } catch {
+    throw new Error("Cannot decrypt secrets vault (wrong master key?)");
+  }
+}
+
+function saveVault(vault) {
+  writePrivate(vaultFile(), JSON.stringify(encrypt(vault), null, 2));
+}
+
+function placeholder(slot) {
+  return "${" + slot.env + "}";
+}
+
+// Vault key and env var of the value a "*" field holds for one match
+function matchSlot(field, match) {
+  return { key: field.key + ":" + match, env: field.env + "_" + match.toUpperCase().replace(/[^A-Z0-9]/g, "_") };
+}
+
+/** Vault key of a provider's API key (see getSecrets). */
+export function apiKeySlot(providerId) {
+  return matchSlot(SECRET_FIELDS[0], providerId).key;
+}
+
+/**
+ * The stored API key of a provider, from an instance's decrypted secrets. Vaults
+ * from before per-provider keys hold a single "apiKey" until the next start.
+ */
+export function providerApiKey(secrets, providerId) {
+  return secrets[apiKeySlot(providerId)] || secrets.apiKey || "";
+}
+
+function getPath(obj, path) {
+  var cur = obj;
+  for (var i = 0; i < path.length; i++) {
+    if (!cur || typeof cur !== "object") return undefined;
+    cur = cur[path[i]];
+  }
+  return cur;
+}
+
+function setPath(obj, path, value) {
+  var cur = obj;
+  for (var i = 0; i < path.length - 1; i++) {
+    if (!cur[path[i]] || typeof cur[path[i]] !== "object") cur[path[i]] = {};
+    cur = cur[path[i]];
+  }
+  cur[path[path.length - 1]] = value;
+}
+
+/**
+ * Where a field's secrets sit in cfg: [{ path, key, env }], one per match of a "*"
+ * (fields have at most one).
+ */
+function fieldSlots(cfg, field) {
+  var star = field.path.indexOf("*");
+  if (star === -1) return [{ path: field.path, key: field.key, env: field.env }];
+  var parent = getPath(cfg, field.path.slice(0, star));
+  if (!parent || typeof parent !== "object") return [];
+  return Object.keys(parent).map(function(match) {
+    return Object.assign({ path: field.path.slice(0, star).concat([match], field.path.slice(star + 1)) }, matchSlot(field, match));
+  });
+}
+
+/**
+ * Move plaintext secrets out of an openclaw config into the vault.
+ * Mutates and returns cfg, with each secret replaced by its ${ENV} reference.
+ * References to a "*" field's old shared slot (such as ${NEST_SECRET_API_KEY})
+ * move to the slot of their match, taking the stored value along.
+ */
+export function sealConfig(instanceId, cfg) {
+  // Only configs with something to seal need the vault (and the master key)
+  var vault = null;
+  var secrets = null;
+  function stored() {
+    if (!vault) {
+      vault = loadVault();
+      secrets = Object.assign({}, vault[instanceId]);
+    }
+    return secrets;
+  }
+  SECRET_FIELDS.forEach(function(field) {
+    var shared = field.path.indexOf("*") !== -1 && placeholder(field);
+    var migrated = false;
+    fieldSlots(cfg, field).forEach(function(slot) {
+      var value = getPath(cfg, slot.path);
+      if (typeof value !== "string" || !value || value === placeholder(slot)) return;
+      if (value === shared) {
+        if (stored()[field.key] && !secrets[slot.key]) secrets[slot.key] = secrets[field.key];
+        migrated = true;
+      } else {
+        stored()[slot.key] = value;
+      }
+      setPath(cfg, slot.path, placeholder(slot));
+    });
+    if (migrated) delete secrets[field.key];
+  });
+  if (vault) {
+    vault[instanceId] = secrets;
+    saveVault(vault);
+  }
+  return cfg;
+}
+
+/**
+ * Decrypted secrets for an instance: { "apiKey:<provider>", botToken, appSecret, ... }
+ * keyed as in SECRET_FIELDS.
+ */
+export function getSecrets(instanceId) {
+  return Object.assign({}, loadVault()[instanceId]);
+}
+
+/** Environment variables an engine must pass to the gateway of an instance. */
+export function secretEnv(instanceId) {
+  var secrets = getSecrets(instanceId);
+  var env = {};
+  SECRET_FIELDS.forEach(function(field) {
+    if (secrets[field.key]) env[field.env] = secrets[field.key];
+    if (field.path.indexOf("*") === -1) return;
+    Object.keys(secrets).forEach(function(key) {
+      if (key.indexOf(field.key + ":") === 0 && secrets[key]) {
+        env[matchSlot(field, key.slice(field.key.length + 1)).env] = secrets[key];
+      }
+    });
+  });
+  return env;
+}
+
+/** Forget all secrets of an instance. */
+export function deleteSecrets(instanceId) {
+  var vault = loadVault();
+  if (!vault[instanceId]) return;
+  delete vault[instanceId];
+  saveVault(vault);
+}
+
+/**
+ * Export an instance's secrets encrypted with the master key (for backups).
+ * @returns {object|null} an encrypted box, or null if the instance has no secrets
+ */
+export function exportSecrets(instanceId) {
+  var secrets = loadVault()[instanceId];
+  return secrets ? encrypt(secrets) : null;
+}
+
+/**
+ * Import secrets exported by exportSecrets() under a (possibly new) instance id.
+ * Throws if the box was encrypted with a different master key.
+ */
+export function importSecrets(instanceId, box) {
+  var secrets;
+  try {
+    secrets = decrypt(box);
+  } catch {
+    throw new Error("Cannot decrypt backup secrets (different master key?)");
+  }
+  var vault = loadVault();
+  vault[instanceId] = secrets;
+  saveVault(vault);
+}
+
+// Vault key for registry credentials; "*" can't start an instance name
+var REGISTRIES_KEY = "*registries";
+
+/** Stored Docker registry credentials for a host: { username, password }, or null. */
+export function getRegistryAuth(host) {
+  var registries = loadVault()[REGISTRIES_KEY] || {};
+  return registries[host] ? Object.assign({}, registries[host]) : null;
+}
+
+/** Hosts with stored registry credentials, without the passwords. */
+export function listRegistries() {
+  var registries = loadVault()[REGISTRIES_KEY] || {};
+  return Object.keys(registries).sort().map(function(host) {
+    return { host: host, username: registries[host].username };
+  });
+}
+
+/** Store (or, with null, forget) the credentials of a registry host. */
+export function setRegistryAuth(host, auth) {
+  var vault = loadVault();
+  var registries = Object.assign({}, vault[REGISTRIES_KEY]);
+  if (auth) registries[host] = { username: auth.username, password: auth.password };
+  else delete registries[host];
+  vault[REGISTRIES_KEY] = registries;
+  saveVault(vault);
+}
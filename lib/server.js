@@ -1,12 +1,47 @@
 import express from "express";
 import { createServer } from "node:http";
-import { platform } from "node:os";
+import { platform, tmpdir } from "node:os";
 import { execSync } from "node:child_process";
 import { randomUUID } from "node:crypto";
+import { join } from "node:path";
+import { createWriteStream, rmSync } from "node:fs";
+import { pipeline } from "node:stream/promises";
 import { INDEX_HTML } from "./html.js";
-import { signSession, verifySession, checkRateLimit, recordFailure, clearFailure } from "./auth.js";
-import { MODEL_CATALOG, validateInstanceName } from "./configure.js";
-import { getAllInstances, getInstance } from "./store.js";
+import {
+  signSession, verifySession, checkRateLimit, recordFailure, clearFailure,
+  listApiTokens, createApiToken, revokeApiToken, verifyApiToken,
+  MASTER_USER, listUsers, getUser, createUser, updateUser, deleteUser, authenticateUser,
+  roleFor, roleAllows, scopeRole, setSetting, METRICS_SCOPE,
+} from "./auth.js";
+import { validateInstanceName, readInstanceConfig, configEtag } from "./configure.js";
+import {
+  listProviders, listModels, findModel, findProvider, defaultModel,
+  saveProvider, deleteProvider, saveModel, deleteModel, modelKey, normalizeModelParams, modelParamsOf,
+} from "./providers.js";
+import {
+  listChannels, findChannel, channelCredentials, validateCredentials, requestedChannels, instanceChannels,
+} from "./channels.js";
+import { getInstance, getAllInstances, getNestDir } from "./store.js";
+import { recordAudit, readAudit, diffConfig, redactSecrets } from "./audit.js";
+import {
+  createBackup, listBackups, backupPath, deleteBackup, requireBackup, restoreBackup,
+  getBackupSchedule, startBackupScheduler,
+} from "./backup.js";
+import { checkInstanceHealth } from "./health.js";
+import {
+  describeInstance, getInstancesList, updateInstanceModel, editInstanceConfig, revertInstanceConfig,
+  prepareClone, copyWorkspace, addInstanceChannel, removeInstanceChannel, getInstanceAccess, updateInstanceAccess,
+} from "./instances.js";
+import { withConfigAuthor, listRevisions, getRevision, latestRevision } from "./history.js";
+import { parseFleet, validateFleet, planFleet, applyFleet, publicPlan, FLEET_ENV_PREFIX } from "./fleet.js";
+import { emitEvent, subscribe, startStatusMonitor } from "./events.js";
+import { listPairings, approvePairing, rejectPairing } from "./pairing.js";
+import { startMetricsCollector } from "./metrics.js";
+import { normalizeLimits, effectiveLimits, checkQuota, getDefaultLimits, getQuota, saveLimitSettings, quotaUsage } from "./limits.js";
+import { httpMetricsMiddleware, trackDeploys, renderMetrics } from "./prometheus.js";
+import { DEFAULT_IMAGE, normalizeRuntime, installedVersions, isRegistryHost } from "./runtime.js";
+import { listRegistries, setRegistryAuth } from "./secrets.js";
+import { startUpgradeJob, getUpgradeJob, lockRuntime, MAX_UPGRADE_TIMEOUT } from "./upgrade.js";
 
 // Safely embed JSON inside <script> tags
 function safeStringify(obj) {
@@ -26,25 +61,198 @@ function parseCookie(headers, name) {
   return "";
 }
 
+function parseBearer(headers) {
+  var raw = headers.authorization || "";
+  var m = /^Bearer\s+(\S+)$/i.exec(raw);
+  return m ? m[1] : "";
+}
+
+function instanceConfigDir(id) {
+  return join(getNestDir(), "instances", id);
+}
+
 /**
- * Build instances list with live status for the API.
+ * Record every mutating request in the audit log once the response is sent:
+ * actor, IP, route, instance, outcome and the openclaw.json diff it caused.
  */
-async function getInstancesList(engine) {
-  var all = getAllInstances();
-  var result = [];
-  for (var id of Object.keys(all)) {
-    var meta = all[id];
-    var liveStatus = await engine.status(id);
-    result.push({
-      id: id,
-      engine: meta.engine || engine.type,
-      port: meta.port,
-      status: liveStatus,
-      config: meta.config || {},
-      createdAt: meta.createdAt,
-    });
+function auditMiddleware(req, res, next) {
+  if (req.method === "GET" || req.path === "/shutdown") return next();
+  var m = /^\/instances\/([^/]+)/.exec(req.path);
+  var instanceId = m ? decodeURIComponent(m[1]) : null;
+  if (!instanceId && req.path === "/instances" && req.body) instanceId = (req.body.instanceId || "default").trim();
+  var before = m ? readInstanceConfig(instanceConfigDir(instanceId)) : null;
+
+  var errorMsg = null;
+  var json = res.json.bind(res);
+  res.json = function(body) {
+    if (body && body.error) errorMsg = body.error;
+    return json(body);
+  };
+
+  res.on("finish", function() {
+    var entry = {
+      actor: req.actor ? req.actor.name : null,
+      ip: req.ip,
+      action: req.method + " " + (req.route ? req.route.path : req.path),
+      instance: instanceId,
+      outcome: res.statusCode < 400 ? "success" : "failure",
+      status: res.statusCode,
+    };
+    if (errorMsg) entry.error = errorMsg;
+    if (m) {
+      var changes = diffConfig(before, readInstanceConfig(instanceConfigDir(instanceId)));
+      if (changes.length) entry.changes = changes;
+    }
+    recordAudit(entry);
+  });
+  next();
+}
+
+var LOCAL_ACTOR = { name: "local", roles: { "*": "owner" } };
+var MASTER_ACTOR = { name: "master", roles: { "*": "owner" } };
+
+/**
+ * Resolve who is making the request from the Bearer token or session cookie.
+ * @returns {{ name: string, roles: object }|null}
+ */
+function resolveActor(req, token) {
+  var bearer = parseBearer(req.headers);
+  if (bearer) {
+    var apiToken = verifyApiToken(bearer);
+    if (!apiToken) return null;
+    if (apiToken.scope === METRICS_SCOPE) return { name: "token:" + apiToken.name, roles: {}, scrapeOnly: true };
+    return { name: "token:" + apiToken.name, roles: { "*": scopeRole(apiToken.scope) } };
+  }
+  var username = verifySession(parseCookie(req.headers, "session"), token);
+  if (!username) return null;
+  if (username === MASTER_USER) return MASTER_ACTOR;
+  var user = getUser(username);
+  if (!user) return null;
+  return { name: user.username, roles: user.roles };
+}
+
+var MAX_UPLOAD = 1024 * 1024 * 1024;
+
+/**
+ * Stream an uploaded backup archive to a temp file, so a restore never holds
+ * the archive in memory. The caller removes the file.
+ * @returns {Promise<string>} its path
+ */
+async function spoolUpload(req) {
+  var file = join(tmpdir(), "nest-restore-" + randomUUID() + ".tar.gz");
+  var size = 0;
+  try {
+    await pipeline(req, async function* (source) {
+      for await (var chunk of source) {
+        size += chunk.length;
+        if (size > MAX_UPLOAD) {
+          var err = new Error("Archive too large");
+          err.status = 413;
+          throw err;
+        }
+        yield chunk;
+      }
+    }, createWriteStream(file, { mode: 0o600 }));
+  } catch (err) {
+    rmSync(file, { force: true });
+    throw err;
+  }
+  return file;
+}
+
+/**
+ * Role a request needs, and on which instance (null = nest-wide).
+ * Returns null role for routes any authenticated actor may call.
+ * API token scopes map onto roles: read = viewer, lifecycle = operator, admin = owner.
+ */
+function requiredRole(req) {
+  var path = req.path;
+  var method = req.method;
+  if (path === "/auth/me" || path === "/engine/info") return { role: null, instanceId: null };
+  // The catalog is needed by anyone who can create or switch models
+  if ((path === "/models" || path === "/channels") && method === "GET") return { role: null, instanceId: null };
+  // Owners and scrape tokens (see the auth middleware)
+  if (path === "/metrics" && method === "GET") return { role: "owner", instanceId: null, scrape: true };
+  // Events are filtered per actor in the handler
+  if (path === "/events" && method === "GET") return { role: null, instanceId: null };
+  if (path.startsWith("/auth/")) return { role: "owner", instanceId: null };
+  // Checked against the job's instances in the handler, so per-instance owners can follow theirs
+  if (/^\/upgrades\/[^/]+$/.test(path) && method === "GET") return { role: null, instanceId: null };
+  if (path === "/instances") {
+    // List is filtered per actor in the handler
+    if (method === "GET") return { role: null, instanceId: null };
+    return { role: "owner", instanceId: null };
+  }
+  var m = /^\/instances\/([^/]+)(\/.*)?$/.exec(path);
+  if (m) {
+    var id = decodeURIComponent(m[1]);
+    var sub = m[2] || "";
+    if (sub === "/deploy-stream" || sub === "/clone") return { role: "owner", instanceId: null };
+    // Backup archives carry (encrypted) secrets
+    if (method === "GET" && /^\/backups\/[^/]+$/.test(sub)) return { role: "owner", instanceId: id };
+    if (method === "GET") return { role: "viewer", instanceId: id };
+    if (method === "POST" && /^\/(start|stop|restart|connect-telegram)$/.test(sub)) return { role: "operator", instanceId: id };
+    if ((method === "PUT" && sub === "/access") || sub.startsWith("/pairings/")) return { role: "operator", instanceId: id };
+    // Editing the whole file is for owners; operators can switch models
+    if (method === "PUT" && sub === "/config") return { role: req.body && req.body.config !== undefined ? "owner" : "operator", instanceId: id };
+    return { role: "owner", instanceId: id };
+  }
+  return { role: "owner", instanceId: null };
+}
+
+/**
+ * Check requested limits and the nest quota before handing out a deploy ticket,
+ * so the caller gets a 4xx instead of an SSE error.
+ * @returns {{ status: number, error: string }|null}
+ */
+function limitsProblem(engine, requested) {
+  var limits;
+  try {
+    limits = normalizeLimits(requested);
+  } catch (err) {
+    return { status: 400, error: err.message };
+  }
+  if (engine.type !== "docker" && (limits.memory || limits.cpus || limits.pids)) {
+    return { status: 400, error: "Resource limits require the Docker engine" };
+  }
+  try {
+    checkQuota({ engineType: engine.type, limits: effectiveLimits({ limits: limits }) });
+  } catch (err) {
+    return { status: err.code === "EQUOTA" ? 403 : 500, error: err.message };
+  }
+  return null;
+}
+
+/**
+ * Runtime of a new instance from a create or clone body: `runtime`, or the
+ * `version` / `image` shorthands. Throws on bad input.
+ */
+function requestedRuntime(engine, body) {
+  var runtime = normalizeRuntime(body.runtime || { version: body.version, image: body.image }, engine.type);
+  if (runtime.image && engine.type !== "docker") throw new Error("Runtime images require the Docker engine (use a version instead)");
+  return runtime;
+}
+
+/** Upgrade health timeout in seconds from a request body, or throw. */
+function upgradeTimeout(body) {
+  if (body.timeout == null || body.timeout === "") return undefined;
+  var timeout = Number(body.timeout);
+  if (!Number.isFinite(timeout) || timeout < 10 || timeout > MAX_UPGRADE_TIMEOUT) {
+    throw new Error("timeout must be between 10 and " + MAX_UPGRADE_TIMEOUT + " seconds");
   }
-  return result;
+  return timeout;
+}
+
+/**
+ * Check the model, API key and model params of a create request.
+ * @returns {string|null} the problem, if any
+ */
+function modelProblem(modelId, apiKey, body) {
+  var model = findModel(modelId || defaultModel().id);
+  if (!model) return "Unknown model: " + modelId;
+  if (!apiKey && findProvider(model.provider).apiKeyRequired) return "API Key required";
+  try { normalizeModelParams(modelParamsOf(body), model); } catch (e) { return e.message; }
+  return null;
 }
 
 export async function startNestServer(opts) {
@@ -55,8 +263,22 @@ export async function startNestServer(opts) {
   var engine = opts.engine;
 
   var app = express();
+  app.use(httpMetricsMiddleware);
   app.use(express.json());
 
+  // Instance ids are decoded from the path further down (roles, audit, monitor);
+  // reject malformed escapes here instead of failing there with a 500
+  app.use(function(req, res, next) {
+    var m = /^\/instances\/([^/]+)/.exec(req.path);
+    if (m) {
+      try { decodeURIComponent(m[1]); } catch {
+        res.status(400).json({ error: "Malformed instance id" });
+        return;
+      }
+    }
+    next();
+  });
+
   // --- Ticket store for SSE ---
   var ticketStore = new Map();
   var cleanupTimer = setInterval(function() {
@@ -67,6 +289,11 @@ export async function startNestServer(opts) {
   }, 60000);
   cleanupTimer.unref();
 
+  // One status probe per instance per interval, shared by every client
+  var monitor = startStatusMonitor(engine);
+  var metrics = startMetricsCollector(engine);
+  trackDeploys();
+
   // --- Auth routes (server mode only) ---
   if (serverMode) {
     app.post("/auth/login", function(req, res) {
@@ -75,13 +302,21 @@ export async function startNestServer(opts) {
         res.status(429).json({ error: "Too many attempts. Try again later." });
         return;
       }
-      if (!req.body || req.body.token !== token) {
+      var body = req.body || {};
+      var username = null;
+      if (body.username) {
+        var user = authenticateUser(String(body.username), String(body.password || ""));
+        if (user) username = user.username;
+      } else if (body.token && body.token === token) {
+        username = MASTER_USER;
+      }
+      if (!username) {
         recordFailure(ip);
-        res.status(401).json({ error: "Invalid token" });
+        res.status(401).json({ error: body.username ? "Invalid username or password" : "Invalid token" });
         return;
       }
       clearFailure(ip);
-      var cookie = signSession(token);
+      var cookie = signSession(token, username);
       res.setHeader("Set-Cookie",
         "session=" + cookie
         + "; HttpOnly"
@@ -92,33 +327,151 @@ export async function startNestServer(opts) {
       res.json({ success: true });
     });
 
-    // Auth middleware
+    // Auth middleware: resolve the actor, then check its role for the route
     app.use(function(req, res, next) {
       if (req.path === "/" && req.method === "GET") return next();
-      var sessionCookie = parseCookie(req.headers, "session");
-      if (!sessionCookie || !verifySession(sessionCookie, token)) {
+      var actor = resolveActor(req, token);
+      if (!actor) {
         res.status(401).json({ error: "Unauthorized" });
         return;
       }
+      var need = requiredRole(req);
+      if (actor.scrapeOnly) {
+        if (!need.scrape) { res.status(403).json({ error: "Forbidden: metrics token" }); return; }
+      } else if (need.role && !roleAllows(roleFor(actor, need.instanceId), need.role)) {
+        res.status(403).json({ error: "Forbidden: requires " + need.role + " role" });
+        return;
+      }
+      req.actor = actor;
       next();
     });
+    app.use(auditMiddleware);
+
+    app.get("/auth/me", function(req, res) {
+      res.json(req.actor);
+    });
+
+    // --- API token management (session or admin tokens only) ---
+    app.get("/auth/tokens", function(req, res) {
+      res.json(listApiTokens());
+    });
+
+    app.post("/auth/tokens", function(req, res) {
+      var body = req.body || {};
+      try {
+        var created = createApiToken({ name: body.name, scope: body.scope, expiresAt: body.expiresAt });
+        res.json(Object.assign({ token: created.token }, created.info));
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    app.delete("/auth/tokens/:tokenId", function(req, res) {
+      if (!revokeApiToken(req.params.tokenId)) {
+        res.status(404).json({ error: "Token not found" });
+        return;
+      }
+      res.json({ success: true });
+    });
+
+    // --- User accounts (owner only) ---
+    app.get("/auth/users", function(req, res) {
+      res.json(listUsers());
+    });
+
+    app.post("/auth/users", function(req, res) {
+      var body = req.body || {};
+      try {
+        res.json(createUser({ username: body.username, password: body.password, roles: body.roles }));
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    app.put("/auth/users/:username", function(req, res) {
+      var body = req.body || {};
+      if (!getUser(req.params.username)) {
+        res.status(404).json({ error: "User not found" });
+        return;
+      }
+      try {
+        res.json(updateUser(req.params.username, { password: body.password, roles: body.roles }));
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    app.delete("/auth/users/:username", function(req, res) {
+      if (!deleteUser(req.params.username)) {
+        res.status(404).json({ error: "User not found" });
+        return;
+      }
+      res.json({ success: true });
+    });
+  } else {
+    // Local mode: the desktop user owns everything
+    app.use(function(req, res, next) {
+      req.actor = LOCAL_ACTOR;
+      next();
+    });
+    app.use(auditMiddleware);
+  }
+
+  /** Only list instances the actor has some role on. */
+  function visibleTo(actor) {
+    return function(id) { return !!roleFor(actor, id); };
   }
 
+  // Config revisions written while handling a request are credited to its actor
+  app.use(function(req, res, next) {
+    withConfigAuthor(req.actor ? req.actor.name : null, next);
+  });
+
+  // Re-probe an instance right after a lifecycle request so its event isn't a tick late
+  app.use(function(req, res, next) {
+    var m = req.method !== "GET" && /^\/instances\/([^/]+)/.exec(req.path);
+    if (m) res.on("finish", function() { monitor.refresh(decodeURIComponent(m[1])); });
+    next();
+  });
+
+  // --- Event stream (SSE) ---
+  app.get("/events", function(req, res) {
+    var visible = visibleTo(req.actor);
+    var lastId = parseInt(req.headers["last-event-id"] || req.query.lastEventId || "0", 10) || 0;
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      "Connection": "keep-alive",
+    });
+    res.write(": connected\n\n");
+    var unsubscribe = subscribe(function(event) {
+      if (event.instance && !visible(event.instance)) return;
+      res.write("id: " + event.id + "\ndata: " + JSON.stringify(event) + "\n\n");
+    }, lastId);
+    var keepAlive = setInterval(function() { res.write(": ping\n\n"); }, 25000);
+    req.on("close", function() {
+      clearInterval(keepAlive);
+      unsubscribe();
+    });
+  });
+
   // --- Serve page with server-injected state ---
   app.get("/", async function(req, res) {
-    if (serverMode) {
-      var sessionCookie = parseCookie(req.headers, "session");
-      if (!sessionCookie || !verifySession(sessionCookie, token)) {
-        var html = INDEX_HTML.replace("<!--SERVER_STATE-->", "");
-        res.type("html").send(html);
-        return;
-      }
+    var actor = serverMode ? resolveActor(req, token) : LOCAL_ACTOR;
+    if (!actor) {
+      var html = INDEX_HTML.replace("<!--SERVER_STATE-->", "");
+      res.type("html").send(html);
+      return;
     }
-    var instances = await getInstancesList(engine);
+    var instances = await getInstancesList(engine, visibleTo(actor), monitor.statusOf, monitor.healthOf);
     var initScript = "<script>window.__STATE__=" + safeStringify({
       instances: instances,
-      models: MODEL_CATALOG,
+      models: listModels(),
+      providers: listProviders(),
+      channels: listChannels(),
       engineType: engine.type,
+      serverMode: serverMode,
+      me: actor,
     }) + "</script>";
     var htmlFull = INDEX_HTML.replace("<!--SERVER_STATE-->", initScript);
     res.type("html").send(htmlFull);
@@ -128,7 +481,7 @@ export async function startNestServer(opts) {
 
   // List all instances
   app.get("/instances", async function(req, res) {
-    res.json(await getInstancesList(engine));
+    res.json(await getInstancesList(engine, visibleTo(req.actor), monitor.statusOf, monitor.healthOf));
   });
 
   // Get instance detail
@@ -137,23 +490,42 @@ export async function startNestServer(opts) {
     var meta = getInstance(id);
     if (!meta) { res.status(404).json({ error: "Instance not found" }); return; }
     var liveStatus = await engine.status(id);
-    res.json({
-      id: id,
-      engine: meta.engine || engine.type,
-      port: meta.port,
-      status: liveStatus,
-      config: meta.config || {},
-      createdAt: meta.createdAt,
-    });
+    var report = monitor.healthOf(id);
+    res.json(describeInstance(id, meta, liveStatus, engine, report && report.verdict));
+  });
+
+  // Deep health check (gateway HTTP, channel connectivity, log errors)
+  app.get("/instances/:id/health", async function(req, res) {
+    try {
+      res.json(await checkInstanceHealth(engine, req.params.id));
+    } catch (err) {
+      res.status(getInstance(req.params.id) ? 500 : 404).json({ error: err.message });
+    }
+  });
+
+  // CPU / memory / uptime / restarts, with recent history
+  app.get("/instances/:id/metrics", async function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    try {
+      res.json(await metrics.metricsOf(req.params.id));
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Failed to read metrics" });
+    }
   });
 
   // Create instance (prepare ticket for SSE deploy)
   app.post("/instances", function(req, res) {
     var body = req.body || {};
-    if (!body.apiKey) {
-      res.status(400).json({ error: "API Key required" });
+    var badModel = modelProblem(body.model, body.apiKey, body);
+    if (badModel) {
+      res.status(400).json({ error: badModel });
       return;
     }
+    try {
+      requestedChannels(body).forEach(function(c) { validateCredentials(c.channel, c.credentials); });
+    } catch (e) {
+      res.status(400).json({ error: e.message }); return;
+    }
     var instanceId = (body.instanceId || "default").trim();
     try { validateInstanceName(instanceId); } catch (e) {
       res.status(400).json({ error: e.message }); return;
@@ -165,15 +537,68 @@ export async function startNestServer(opts) {
       res.status(409).json({ error: "Instance \"" + instanceId + "\" already exists" });
       return;
     }
+    var problem = limitsProblem(engine, body.limits);
+    if (problem) { res.status(problem.status).json({ error: problem.error }); return; }
+    var runtime;
+    try { runtime = requestedRuntime(engine, body); } catch (e) {
+      res.status(400).json({ error: e.message }); return;
+    }
 
     var ticketId = randomUUID();
     ticketStore.set(ticketId, {
-      data: body,
+      data: Object.assign({}, body, { runtime: runtime }),
       expiresAt: Date.now() + 60000,
     });
     res.json({ ticket: ticketId });
   });
 
+  // Clone instance (prepare ticket for SSE deploy of the copy)
+  app.post("/instances/:id/clone", function(req, res) {
+    var body = req.body || {};
+    var instanceId = (body.instanceId || "").trim();
+    if (!instanceId) { res.status(400).json({ error: "New instance name required" }); return; }
+    try { validateInstanceName(instanceId); } catch (e) {
+      res.status(400).json({ error: e.message }); return;
+    }
+    if (getInstance(instanceId)) {
+      res.status(409).json({ error: "Instance \"" + instanceId + "\" already exists" });
+      return;
+    }
+    var port = 0;
+    if (body.port) {
+      port = parseInt(body.port, 10);
+      if (isNaN(port) || port < 1 || port > 65535) { res.status(400).json({ error: "Invalid port number" }); return; }
+      var all = getAllInstances();
+      if (Object.keys(all).some(function(k) { return all[k].port === port; })) {
+        res.status(409).json({ error: "Port " + port + " is already used by another instance" });
+        return;
+      }
+    }
+    // Validate now so the caller gets a 4xx instead of an SSE error
+    try { prepareClone(req.params.id, body); } catch (e) {
+      res.status(getInstance(req.params.id) ? 400 : 404).json({ error: e.message }); return;
+    }
+    // The copy gets the source's limits unless others are given
+    var limits = body.limits !== undefined ? body.limits : getInstance(req.params.id).limits;
+    var problem = limitsProblem(engine, limits);
+    if (problem) { res.status(problem.status).json({ error: problem.error }); return; }
+    // ...and runs the same OpenClaw unless another version is given
+    var runtime;
+    try {
+      var pinned = body.runtime || body.version || body.image;
+      runtime = pinned ? requestedRuntime(engine, body) : normalizeRuntime(getInstance(req.params.id).runtime);
+    } catch (e) {
+      res.status(400).json({ error: e.message }); return;
+    }
+
+    var ticketId = randomUUID();
+    ticketStore.set(ticketId, {
+      data: Object.assign({}, body, { instanceId: instanceId, port: port, cloneFrom: req.params.id, limits: limits, runtime: runtime }),
+      expiresAt: Date.now() + 60000,
+    });
+    res.json({ ticket: ticketId, instanceId: instanceId });
+  });
+
   // SSE deploy stream
   app.get("/instances/:id/deploy-stream", async function(req, res) {
     var ticket = ticketStore.get(req.query.ticket);
@@ -185,14 +610,44 @@ export async function startNestServer(opts) {
 
     var data = ticket.data;
     var instanceId = req.params.id;
-    var apiKey = (data.apiKey || "").trim();
-    var modelId = (data.model || "claude-opus-4-6").trim();
-    var channel = (data.channel || "telegram").trim();
-    var botToken = (data.botToken || "").trim();
-    var appId = (data.appId || "").trim();
-    var appSecret = (data.appSecret || "").trim();
 
-    if (!apiKey) { res.status(400).json({ error: "API Key required" }); return; }
+    // SSE responses are always 200, so the deploy outcome is audited explicitly
+    function auditDeploy(err) {
+      var entry = {
+        actor: req.actor ? req.actor.name : null,
+        ip: req.ip,
+        action: "DEPLOY /instances/:id",
+        instance: instanceId,
+        outcome: err ? "failure" : "success",
+      };
+      if (err) entry.error = err.message;
+      var changes = diffConfig(null, readInstanceConfig(instanceConfigDir(instanceId)));
+      if (changes.length) entry.changes = changes;
+      recordAudit(entry);
+    }
+
+    var deployConfig;
+    var createExtras = {};
+    if (data.cloneFrom) {
+      try {
+        var clone = prepareClone(data.cloneFrom, data);
+      } catch (err) {
+        res.status(400).json({ error: err.message }); return;
+      }
+      // The source's config is laid over the clone's own onboarded state by deployStream
+      deployConfig = Object.assign(clone.deployConfig, { baseConfig: clone.baseConfig });
+      createExtras = { port: data.port || 0, limits: data.limits, runtime: data.runtime };
+    } else {
+      createExtras = { limits: data.limits, runtime: data.runtime };
+      deployConfig = {
+        apiKey: (data.apiKey || "").trim(),
+        modelId: (data.model || defaultModel().id).trim(),
+        channels: requestedChannels(data),
+      };
+      var badModel = modelProblem(deployConfig.modelId, deployConfig.apiKey, data);
+      if (badModel) { res.status(400).json({ error: badModel }); return; }
+      deployConfig.modelParams = normalizeModelParams(modelParamsOf(data), findModel(deployConfig.modelId));
+    }
 
     res.writeHead(200, {
       "Content-Type": "text/event-stream",
@@ -202,49 +657,43 @@ export async function startNestServer(opts) {
 
     function sendProgress(pct, msg) {
       res.write("data: " + JSON.stringify({ percent: pct, message: msg }) + "\n\n");
+      if (pct >= 0) emitEvent("deploy.progress", instanceId, { percent: pct, message: msg });
     }
 
+    var deployStarted = Date.now();
     sendProgress(5, "Creating instance directory...");
 
     // Create the instance in store first
     try {
-      await engine.create(instanceId, {
-        apiKey: apiKey,
-        modelId: modelId,
-        channel: channel,
-        botToken: botToken,
-        appId: appId,
-        appSecret: appSecret,
-      });
+      await engine.create(instanceId, Object.assign({}, deployConfig, createExtras));
+      if (data.cloneFrom) copyWorkspace(data.cloneFrom, instanceId);
     } catch (err) {
+      auditDeploy(err);
+      emitEvent("deploy.failed", instanceId, { message: err.message, durationMs: Date.now() - deployStarted });
       sendProgress(-1, err.message);
       res.write("data: " + JSON.stringify({ percent: -1, message: err.message, error: true }) + "\n\n");
       res.end();
       return;
     }
 
-    sendProgress(10, "Configuration written...");
+    sendProgress(10, data.cloneFrom ? "Configuration copied from " + data.cloneFrom + "..." : "Configuration written...");
 
     // Run deploy stream (onboard + gateway start)
-    var deployConfig = {
-      apiKey: apiKey,
-      modelId: modelId,
-      channel: channel,
-      botToken: botToken,
-      appId: appId,
-      appSecret: appSecret,
-    };
-
     var handle = engine.deployStream(instanceId, deployConfig, sendProgress);
 
     req.on("close", function() { handle.abort(); });
 
     handle.promise
       .then(function(result) {
+        auditDeploy(null);
+        emitEvent("deploy.done", instanceId, { port: result.port, durationMs: Date.now() - deployStarted });
+        monitor.refresh(instanceId);
         res.write("data: " + JSON.stringify({ percent: 100, message: "Done", done: true, port: result.port }) + "\n\n");
         res.end();
       })
       .catch(function(err) {
+        auditDeploy(err);
+        emitEvent("deploy.failed", instanceId, { message: err.message, durationMs: Date.now() - deployStarted });
         res.write("data: " + JSON.stringify({ percent: -1, message: err.message, error: true }) + "\n\n");
         res.end();
       });
@@ -281,6 +730,69 @@ export async function startNestServer(opts) {
     }
   });
 
+  // Restart policy ({ name: "no"|"on-failure"|"always", maxRetries })
+  app.put("/instances/:id/restart-policy", async function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    try {
+      res.json(await engine.setRestartPolicy(req.params.id, req.body || {}));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Resource limits ({ memory, cpus, pids }; null = nest default, 0 = unlimited)
+  app.put("/instances/:id/limits", async function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    try {
+      res.json(await engine.setLimits(req.params.id, req.body || {}));
+    } catch (err) {
+      res.status(err.code === "EQUOTA" ? 403 : 400).json({ error: err.message });
+    }
+  });
+
+  // OpenClaw version / runtime image ({ version, image }; null = nest default).
+  // Pulls or installs it first, which can take minutes.
+  app.put("/instances/:id/runtime", async function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    var runtime, unlock;
+    try { runtime = requestedRuntime(engine, { runtime: req.body || {} }); } catch (err) {
+      res.status(400).json({ error: err.message }); return;
+    }
+    try { unlock = lockRuntime([req.params.id]); } catch (err) {
+      res.status(409).json({ error: err.message }); return;
+    }
+    try {
+      res.json(await engine.setRuntime(req.params.id, runtime));
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Failed to change runtime" });
+    } finally {
+      unlock();
+    }
+  });
+
+  // Upgrade to another runtime, rolling back if the gateway doesn't come up.
+  // Runs as a job: poll GET /upgrades/:job for its progress and result.
+  app.post("/instances/:id/upgrade", function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    var body = req.body || {};
+    var runtime, timeout;
+    try {
+      runtime = requestedRuntime(engine, body);
+      timeout = upgradeTimeout(body);
+    } catch (err) {
+      res.status(400).json({ error: err.message }); return;
+    }
+    try {
+      res.status(202).json(startUpgradeJob(engine, [req.params.id], runtime, {
+        timeout: timeout,
+        actor: req.actor ? req.actor.name : null,
+        ip: req.ip,
+      }));
+    } catch (err) {
+      res.status(err.code === "EBUSY" ? 409 : 500).json({ error: err.message });
+    }
+  });
+
   // Delete instance
   app.delete("/instances/:id", async function(req, res) {
     try {
@@ -325,45 +837,122 @@ export async function startNestServer(opts) {
     });
   });
 
+  // Full openclaw.json with credentials masked; its ETag guards edits
+  app.get("/instances/:id/config", function(req, res) {
+    var dir = instanceConfigDir(req.params.id);
+    var cfg = getInstance(req.params.id) && readInstanceConfig(dir);
+    if (!cfg) { res.status(404).json({ error: "Instance not found" }); return; }
+    var etag = configEtag(dir);
+    res.set("ETag", etag);
+    res.json({ config: redactSecrets(cfg), etag: etag });
+  });
+
+  // --- Config history ---
+
+  app.get("/instances/:id/config/history", function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    res.json(listRevisions(req.params.id));
+  });
+
+  app.get("/instances/:id/config/history/:rev", function(req, res) {
+    var revision = getInstance(req.params.id) && getRevision(req.params.id, req.params.rev);
+    if (!revision) { res.status(404).json({ error: "Revision not found" }); return; }
+    res.json(Object.assign({}, revision, { config: redactSecrets(revision.config) }));
+  });
+
+  // Changes between two revisions (to defaults to the newest)
+  app.get("/instances/:id/config/diff", function(req, res) {
+    var id = req.params.id;
+    if (!getInstance(id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    if (!/^\d+$/.test(req.query.from || "") || (req.query.to && !/^\d+$/.test(req.query.to))) {
+      res.status(400).json({ error: "from (and optionally to) must be revision numbers" }); return;
+    }
+    var from = getRevision(id, req.query.from);
+    var to = req.query.to ? getRevision(id, req.query.to) : latestRevision(id);
+    if (!from || !to) { res.status(404).json({ error: "Revision not found" }); return; }
+    res.json({ from: from.rev, to: to.rev, changes: diffConfig(from.config, to.config) });
+  });
+
+  app.post("/instances/:id/config/revert/:rev", async function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    try {
+      var result = await revertInstanceConfig(engine, req.params.id, req.params.rev);
+    } catch (err) {
+      res.status(500).json({ error: err.message }); return;
+    }
+    if (!result) { res.status(404).json({ error: "Revision not found" }); return; }
+    res.json(result);
+  });
+
+  // Add or remove a channel (restarts a running instance)
+  app.post("/instances/:id/channels/:channel", async function(req, res) {
+    var id = req.params.id;
+    var channel = req.params.channel;
+    if (!getInstance(id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    if (!findChannel(channel)) { res.status(400).json({ error: "Unknown channel: " + channel }); return; }
+    var credentials = channelCredentials(channel, req.body);
+    try { validateCredentials(channel, credentials); } catch (err) {
+      res.status(400).json({ error: err.message }); return;
+    }
+    try {
+      var result = await addInstanceChannel(engine, id, channel, credentials);
+    } catch (err) {
+      res.status(500).json({ error: err.message }); return;
+    }
+    if (!result) { res.status(409).json({ error: "Instance already has channel " + channel }); return; }
+    res.json(result);
+  });
+
+  app.delete("/instances/:id/channels/:channel", async function(req, res) {
+    var id = req.params.id;
+    var meta = getInstance(id);
+    if (!meta) { res.status(404).json({ error: "Instance not found" }); return; }
+    var channels = instanceChannels(meta);
+    if (channels.indexOf(req.params.channel) === -1) { res.status(404).json({ error: "Instance has no channel " + req.params.channel }); return; }
+    if (channels.length === 1) { res.status(400).json({ error: "Can't remove the only channel of an instance" }); return; }
+    try {
+      res.json(await removeInstanceChannel(engine, id, req.params.channel));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // Update config
   app.put("/instances/:id/config", async function(req, res) {
     var id = req.params.id;
     var meta = getInstance(id);
     if (!meta) { res.status(404).json({ error: "Instance not found" }); return; }
-
-    // For now, support changing modelId
     var body = req.body || {};
-    if (body.modelId) {
-      var { MODEL_CATALOG: catalog, generateConfig: genCfg, writeInstanceConfig, readInstanceConfig, deepMerge } = await import("./configure.js");
-      var model = catalog.find(function(m) { return m.id === body.modelId; });
-      if (!model) { res.status(400).json({ error: "Unknown model: " + body.modelId }); return; }
-
-      var { getNestDir } = await import("./store.js");
-      var { join } = await import("node:path");
-      var dir = join(getNestDir(), "instances", id);
-      var existingCfg = readInstanceConfig(dir) || {};
-
-      // Update model in config
-      if (existingCfg.models && existingCfg.models.providers && existingCfg.models.providers.anthropic &&
-          Array.isArray(existingCfg.models.providers.anthropic.models) && existingCfg.models.providers.anthropic.models.length > 0) {
-        existingCfg.models.providers.anthropic.models[0].id = model.id;
-        existingCfg.models.providers.anthropic.models[0].name = model.name;
-      }
-      if (!existingCfg.agents) existingCfg.agents = {};
-      if (!existingCfg.agents.defaults) existingCfg.agents.defaults = {};
-      if (!existingCfg.agents.defaults.model) existingCfg.agents.defaults.model = {};
-      existingCfg.agents.defaults.model.primary = "anthropic/" + model.id;
-
-      writeInstanceConfig(dir, existingCfg);
 
-      // Update metadata
-      var { saveInstance } = await import("./store.js");
-      meta.config = meta.config || {};
-      meta.config.modelId = body.modelId;
-      saveInstance(id, meta);
+    // Whole file, as edited from GET /instances/:id/config
+    if (body.config !== undefined) {
+      var ifMatch = req.get("If-Match") || body.etag;
+      if (!ifMatch) {
+        res.status(428).json({ error: "If-Match (the ETag from GET /instances/:id/config) is required" }); return;
+      }
+      var etag = configEtag(instanceConfigDir(id));
+      if (ifMatch !== etag) {
+        res.status(412).json({ error: "Config changed since it was read", etag: etag }); return;
+      }
+      try {
+        var result = await editInstanceConfig(engine, id, body.config, { dryRun: body.dryRun === true || req.query.dryRun === "true" });
+      } catch (err) {
+        if (err.code === "ECONFIG") { res.status(400).json({ error: err.message, errors: err.errors }); return; }
+        res.status(500).json({ error: err.message }); return;
+      }
+      res.set("ETag", configEtag(instanceConfigDir(id)));
+      res.json({ changes: result.changes, restarted: result.restarted, etag: configEtag(instanceConfigDir(id)) });
+      return;
+    }
 
-      // Restart if running
-      try { await engine.stop(id); await engine.start(id); } catch { /* ignore */ }
+    // Model and model params; params not given are kept
+    var params = modelParamsOf(body);
+    if (body.modelId || Object.keys(params).length) {
+      try {
+        await updateInstanceModel(engine, id, body.modelId || null, (body.apiKey || "").trim(), params);
+      } catch (err) {
+        res.status(400).json({ error: err.message }); return;
+      }
     }
 
     res.json({ success: true });
@@ -385,6 +974,270 @@ export async function startNestServer(opts) {
     }
   });
 
+  // DM policy, allowlists and group rules of the channels Nest manages access of
+  app.get("/instances/:id/access", function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    res.json(getInstanceAccess(req.params.id));
+  });
+
+  app.put("/instances/:id/access", async function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    try {
+      res.json(await updateInstanceAccess(engine, req.params.id, req.body || {}));
+    } catch (err) {
+      if (err.code === "ECONFIG") { res.status(400).json({ error: err.message }); return; }
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Pending pairing requests (dmPolicy "pairing"), approved or rejected by code
+  app.get("/instances/:id/pairings", function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    res.json(listPairings(req.params.id));
+  });
+
+  app.post("/instances/:id/pairings/:channel/:code/approve", function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    var result = approvePairing(req.params.id, req.params.channel, req.params.code);
+    if (!result) { res.status(404).json({ error: "Pairing request not found" }); return; }
+    res.json(result);
+  });
+
+  app.delete("/instances/:id/pairings/:channel/:code", function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    var result = rejectPairing(req.params.id, req.params.channel, req.params.code);
+    if (!result) { res.status(404).json({ error: "Pairing request not found" }); return; }
+    res.json(result);
+  });
+
+  // --- Backups ---
+
+  app.post("/instances/:id/backup", async function(req, res) {
+    if (!getInstance(req.params.id)) { res.status(404).json({ error: "Instance not found" }); return; }
+    try {
+      res.json(await createBackup(req.params.id));
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Backup failed" });
+    }
+  });
+
+  app.get("/instances/:id/backups", function(req, res) {
+    res.json(listBackups(req.params.id));
+  });
+
+  app.get("/instances/:id/backups/:file", function(req, res) {
+    var path = backupPath(req.params.id, req.params.file);
+    if (!path) { res.status(404).json({ error: "Backup not found" }); return; }
+    res.download(path, req.params.file);
+  });
+
+  app.delete("/instances/:id/backups/:file", function(req, res) {
+    if (!deleteBackup(req.params.id, req.params.file)) {
+      res.status(404).json({ error: "Backup not found" });
+      return;
+    }
+    res.json({ success: true });
+  });
+
+  // Restore from a stored backup ({ source, file, instanceId }) or an uploaded
+  // archive (Content-Type: application/gzip, ?instanceId= to rename)
+  app.post("/restore", async function(req, res) {
+    var archive;
+    var targetId;
+    var upload = null;
+    try {
+      if (req.is(["application/gzip", "application/octet-stream"])) {
+        if (Number(req.get("Content-Length")) > MAX_UPLOAD) { res.status(413).json({ error: "Archive too large" }); return; }
+        archive = upload = await spoolUpload(req);
+        targetId = req.query.instanceId;
+      } else {
+        var body = req.body || {};
+        if (!body.source || !body.file) { res.status(400).json({ error: "source and file required" }); return; }
+        archive = requireBackup(body.source, body.file);
+        targetId = body.instanceId;
+      }
+      res.json(await restoreBackup(engine, archive, { instanceId: targetId }));
+    } catch (err) {
+      res.status(err.status || (err.code === "EQUOTA" ? 403 : 400)).json({ error: err.message || "Restore failed" });
+    } finally {
+      if (upload) rmSync(upload, { force: true });
+    }
+  });
+
+  app.get("/backups/schedule", function(req, res) {
+    res.json(getBackupSchedule());
+  });
+
+  app.put("/backups/schedule", function(req, res) {
+    var body = req.body || {};
+    var intervalHours = Number(body.intervalHours);
+    var keep = Number(body.keep);
+    if (!Number.isFinite(intervalHours) || intervalHours < 0) { res.status(400).json({ error: "Invalid intervalHours" }); return; }
+    if (!Number.isInteger(keep) || keep < 1) { res.status(400).json({ error: "Invalid keep" }); return; }
+    setSetting("backup", { intervalHours: intervalHours, keep: keep });
+    res.json(getBackupSchedule());
+  });
+
+  // Default limits and the nest quota
+  app.get("/limits", function(req, res) {
+    res.json({ defaults: getDefaultLimits(), quota: getQuota(), usage: quotaUsage() });
+  });
+
+  app.put("/limits", function(req, res) {
+    try {
+      saveLimitSettings(req.body || {});
+    } catch (err) {
+      res.status(400).json({ error: err.message }); return;
+    }
+    res.json({ defaults: getDefaultLimits(), quota: getQuota(), usage: quotaUsage() });
+  });
+
+  // Runtime defaults, installed versions and registries with stored credentials
+  app.get("/runtimes", function(req, res) {
+    var info = { engine: engine.type, registries: listRegistries() };
+    if (engine.type === "docker") info.defaultImage = DEFAULT_IMAGE;
+    else info.installedVersions = installedVersions();
+    res.json(info);
+  });
+
+  // Private registry credentials ({ username, password }), kept in the secrets vault
+  app.put("/registries/:host", function(req, res) {
+    var body = req.body || {};
+    if (!isRegistryHost(req.params.host)) { res.status(400).json({ error: "Invalid registry host: " + req.params.host }); return; }
+    if (!body.username || !body.password) { res.status(400).json({ error: "username and password required" }); return; }
+    setRegistryAuth(req.params.host, { username: String(body.username), password: String(body.password) });
+    res.json({ host: req.params.host, username: String(body.username) });
+  });
+
+  app.delete("/registries/:host", function(req, res) {
+    if (!listRegistries().some(function(r) { return r.host === req.params.host; })) {
+      res.status(404).json({ error: "Registry not found" });
+      return;
+    }
+    setRegistryAuth(req.params.host, null);
+    res.json({ success: true });
+  });
+
+  // Rolling upgrade of several instances (default: all), one at a time, as a job
+  app.post("/upgrade", function(req, res) {
+    var body = req.body || {};
+    var runtime, timeout;
+    try {
+      runtime = requestedRuntime(engine, body);
+      timeout = upgradeTimeout(body);
+    } catch (err) {
+      res.status(400).json({ error: err.message }); return;
+    }
+    var ids = body.instances || Object.keys(getAllInstances());
+    if (!Array.isArray(ids)) { res.status(400).json({ error: "instances must be an array of ids" }); return; }
+    var missing = ids.filter(function(id) { return !getInstance(id); });
+    if (missing.length) { res.status(404).json({ error: "Instance not found: " + missing.join(", ") }); return; }
+
+    try {
+      res.status(202).json(startUpgradeJob(engine, ids, runtime, {
+        timeout: timeout,
+        continueOnFailure: !!body.continueOnFailure,
+        actor: req.actor ? req.actor.name : null,
+        ip: req.ip,
+      }));
+    } catch (err) {
+      res.status(err.code === "EBUSY" ? 409 : 500).json({ error: err.message });
+    }
+  });
+
+  app.get("/upgrades/:job", function(req, res) {
+    var job = getUpgradeJob(req.params.job);
+    if (!job) { res.status(404).json({ error: "Upgrade job not found" }); return; }
+    var allowed = job.instances.every(function(id) { return roleAllows(roleFor(req.actor, id), "owner"); });
+    if (!allowed) { res.status(403).json({ error: "Forbidden: requires owner role" }); return; }
+    res.json(job);
+  });
+
+  // Channel registry (credential fields of each channel)
+  app.get("/channels", function(req, res) {
+    res.json({ channels: listChannels() });
+  });
+
+  // Model providers and catalog
+  app.get("/models", function(req, res) {
+    res.json({ providers: listProviders(), models: listModels() });
+  });
+
+  app.put("/providers/:id", function(req, res) {
+    try {
+      res.json(saveProvider(Object.assign({}, req.body || {}, { id: req.params.id })));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  app.delete("/providers/:id", function(req, res) {
+    try {
+      if (!deleteProvider(req.params.id)) { res.status(404).json({ error: "No custom provider " + req.params.id }); return; }
+    } catch (err) {
+      res.status(409).json({ error: err.message }); return;
+    }
+    res.json({ success: true });
+  });
+
+  app.post("/models", function(req, res) {
+    try {
+      res.json(saveModel(req.body || {}));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Model names may contain slashes (e.g. "library/llama3")
+  app.delete("/models/:provider/*model", function(req, res) {
+    var id = modelKey(req.params.provider, req.params.model.join("/"));
+    if (!deleteModel(id)) { res.status(404).json({ error: "No custom model " + id }); return; }
+    res.json({ success: true });
+  });
+
+  // Fleet apply: the body is a fleet document (JSON, or YAML with a YAML content type).
+  // ?dryRun=true only returns the plan, ?prune=true removes instances missing from the fleet.
+  // ${VAR} secrets can only name NEST_FLEET_* variables, not the rest of the server's environment.
+  app.post("/fleet/apply", express.text({ type: ["application/yaml", "application/x-yaml", "text/yaml"], limit: "1mb" }), async function(req, res) {
+    var plan;
+    try {
+      var fleet = typeof req.body === "string" ? parseFleet(req.body) : validateFleet(req.body);
+      plan = await planFleet(engine, fleet, { prune: req.query.prune === "true", envPrefix: FLEET_ENV_PREFIX });
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+      return;
+    }
+    if (req.query.dryRun === "true" || plan.steps.length === 0) {
+      res.json({ plan: publicPlan(plan), applied: false });
+      return;
+    }
+    var results = await applyFleet(engine, plan, { actor: req.actor ? req.actor.name : null, ip: req.ip });
+    var failed = results.filter(function(r) { return r.outcome === "failure"; }).length;
+    var body = { plan: publicPlan(plan), applied: true, results: results };
+    if (failed) res.status(500).json(Object.assign({ error: failed + " step(s) failed" }, body));
+    else res.json(body);
+  });
+
+  // Audit log
+  app.get("/audit", function(req, res) {
+    var limit = req.query.limit ? parseInt(req.query.limit, 10) : 200;
+    if (isNaN(limit) || limit < 1) { res.status(400).json({ error: "Invalid limit" }); return; }
+    try {
+      res.json(readAudit({ instance: req.query.instance || "", since: req.query.since || "", limit: limit }));
+    } catch (err) {
+      res.status(400).json({ error: err.message });
+    }
+  });
+
+  // Prometheus scrape endpoint
+  app.get("/metrics", async function(req, res) {
+    try {
+      res.type("text/plain; version=0.0.4").send(await renderMetrics({ engine: engine, monitor: monitor, metrics: metrics }));
+    } catch (err) {
+      res.status(500).json({ error: err.message || "Failed to render metrics" });
+    }
+  });
+
   // Engine info
   app.get("/engine/info", async function(req, res) {
     var info = { type: engine.type };
@@ -408,6 +1261,9 @@ export async function startNestServer(opts) {
     });
   }
 
+  startBackupScheduler();
+  engine.supervise();
+
   // --- Bind server ---
   var server = createServer(app);
   if (serverMode) {
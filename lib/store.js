@@ -1,57 +1,265 @@
-import { readFileSync, writeFileSync, mkdirSync, existsSync } from "node:fs";
+import { readFileSync, writeFileSync, mkdirSync, existsSync, openSync, closeSync, fsyncSync, renameSync, statSync, rmSync, copyFileSync } from "node:fs";
 import { join } from "node:path";
 import { homedir } from "node:os";
 
 var NEST_DIR = process.env.HOST_DATA_PATH || join(homedir(), ".openclaw-nest");
 var STORE_FILE = join(NEST_DIR, "instances.json");
+var DB_FILE = join(NEST_DIR, "instances.db");
+
+/**
+ * Store schema version. Version 1 was a bare { id: meta } map;
+ * version 2 wraps it as { version, instances }.
+ */
+export var STORE_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a version n document to version n + 1
+var MIGRATIONS = {
+  1: function(data) {
+    return { version: 2, instances: data };
+  },
+};
+
+var LOCK_STALE_MS = 10000;
+var LOCK_WAIT_MS = 5000;
 
 function ensureDir() {
   if (!existsSync(NEST_DIR)) mkdirSync(NEST_DIR, { recursive: true });
 }
 
-function loadRaw() {
-  ensureDir();
-  try {
-    return JSON.parse(readFileSync(STORE_FILE, "utf-8"));
-  } catch {
-    return {};
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/** Upgrade a parsed store document to STORE_VERSION. */
+function migrate(doc) {
+  var version = doc && typeof doc.version === "number" && doc.instances ? doc.version : 1;
+  if (version > STORE_VERSION) {
+    throw new Error("instances.json has schema version " + version + ", newer than this Nest supports (" + STORE_VERSION + ")");
+  }
+  while (version < STORE_VERSION) {
+    doc = MIGRATIONS[version](doc);
+    version = doc.version;
+  }
+  return doc;
+}
+
+/**
+ * JSON file backend. Writes go to a temp file that is fsynced and renamed over
+ * instances.json, so readers never see a partial file. Read-modify-write cycles
+ * hold a lock file, which also keeps the CLI and the web server from clobbering
+ * each other.
+ */
+function jsonBackend() {
+  var cache = null;
+  var cacheKey = "";
+  var locked = false;
+
+  // Each write renames a new file into place, so inode + mtime identify a version
+  function fileKey() {
+    var st = statSync(STORE_FILE);
+    return st.ino + ":" + st.mtimeMs + ":" + st.size;
+  }
+
+  function load() {
+    ensureDir();
+    if (!existsSync(STORE_FILE)) return { version: STORE_VERSION, instances: {} };
+    var key = fileKey();
+    if (cache && key === cacheKey) return cache;
+    var raw = readFileSync(STORE_FILE, "utf-8");
+    var doc;
+    try {
+      doc = raw.trim() ? JSON.parse(raw) : {};
+    } catch (err) {
+      // Never fall back to an empty store: the next write would wipe every instance
+      throw new Error("Cannot parse " + STORE_FILE + ": " + err.message);
+    }
+    var version = doc && typeof doc.version === "number" && doc.instances ? doc.version : 1;
+    doc = migrate(doc);
+    if (version !== STORE_VERSION) {
+      copyFileSync(STORE_FILE, STORE_FILE + ".v" + version + ".bak");
+      write(doc);
+      key = fileKey();
+    }
+    cache = doc;
+    cacheKey = key;
+    return doc;
+  }
+
+  function write(doc) {
+    var tmp = STORE_FILE + "." + process.pid + ".tmp";
+    var fd = openSync(tmp, "w");
+    try {
+      writeFileSync(fd, JSON.stringify(doc, null, 2), "utf-8");
+      fsyncSync(fd);
+    } finally {
+      closeSync(fd);
+    }
+    renameSync(tmp, STORE_FILE);
+  }
+
+  function acquireFileLock() {
+    var lockFile = STORE_FILE + ".lock";
+    var deadline = Date.now() + LOCK_WAIT_MS;
+    for (;;) {
+      try {
+        closeSync(openSync(lockFile, "wx"));
+        return lockFile;
+      } catch (err) {
+        if (err.code !== "EEXIST") throw err;
+      }
+      try {
+        // A crashed writer leaves its lock behind
+        if (Date.now() - statSync(lockFile).mtimeMs > LOCK_STALE_MS) rmSync(lockFile, { force: true });
+      } catch { /* released meanwhile */ }
+      if (Date.now() > deadline) throw new Error("Timed out waiting for the instance store lock");
+      sleepSync(20);
+    }
   }
+
+  return {
+    all: function() {
+      return load().instances;
+    },
+    update: function(fn) {
+      if (locked) throw new Error("Instance store is already being updated");
+      locked = true;
+      ensureDir();
+      var lockFile = acquireFileLock();
+      try {
+        cache = null;
+        var doc = load();
+        // Work on a copy so a throwing fn leaves the cache untouched
+        var instances = JSON.parse(JSON.stringify(doc.instances));
+        var result = fn({
+          get: function(id) { return instances[id] || null; },
+          put: function(id, meta) { instances[id] = meta; },
+          del: function(id) { delete instances[id]; },
+        });
+        write({ version: STORE_VERSION, instances: instances });
+        cache = null;
+        return result;
+      } finally {
+        rmSync(lockFile, { force: true });
+        locked = false;
+      }
+    },
+  };
 }
 
-function saveRaw(data) {
+/**
+ * SQLite backend (NEST_STORE=sqlite), using the built-in node:sqlite module.
+ * The schema version is kept in PRAGMA user_version; an existing instances.json
+ * is imported on first open.
+ */
+function sqliteBackend() {
+  var sqlite = process.getBuiltinModule && process.getBuiltinModule("node:sqlite");
+  if (!sqlite) throw new Error("NEST_STORE=sqlite requires Node.js 22.13 or newer (node:sqlite)");
   ensureDir();
-  writeFileSync(STORE_FILE, JSON.stringify(data, null, 2), "utf-8");
+  var db = new sqlite.DatabaseSync(DB_FILE);
+  db.exec("PRAGMA journal_mode = WAL; PRAGMA busy_timeout = " + LOCK_WAIT_MS + ";");
+
+  var version = db.prepare("PRAGMA user_version").get().user_version;
+  if (version > STORE_VERSION) {
+    throw new Error("instances.db has schema version " + version + ", newer than this Nest supports (" + STORE_VERSION + ")");
+  }
+  if (version < STORE_VERSION) {
+    db.exec("BEGIN IMMEDIATE");
+    try {
+      db.exec("CREATE TABLE IF NOT EXISTS instances (id TEXT PRIMARY KEY, data TEXT NOT NULL)");
+      if (existsSync(STORE_FILE)) {
+        var doc = migrate(JSON.parse(readFileSync(STORE_FILE, "utf-8")));
+        var insert = db.prepare("INSERT OR REPLACE INTO instances (id, data) VALUES (?, ?)");
+        Object.keys(doc.instances).forEach(function(id) { insert.run(id, JSON.stringify(doc.instances[id])); });
+      }
+      db.exec("PRAGMA user_version = " + STORE_VERSION);
+      db.exec("COMMIT");
+    } catch (err) {
+      db.exec("ROLLBACK");
+      throw err;
+    }
+    if (existsSync(STORE_FILE)) renameSync(STORE_FILE, STORE_FILE + ".migrated");
+  }
+
+  var selectAll = db.prepare("SELECT id, data FROM instances ORDER BY rowid");
+  var selectOne = db.prepare("SELECT data FROM instances WHERE id = ?");
+  var upsert = db.prepare("INSERT INTO instances (id, data) VALUES (?, ?) ON CONFLICT(id) DO UPDATE SET data = excluded.data");
+  var del = db.prepare("DELETE FROM instances WHERE id = ?");
+
+  return {
+    all: function() {
+      var out = {};
+      selectAll.all().forEach(function(row) { out[row.id] = JSON.parse(row.data); });
+      return out;
+    },
+    update: function(fn) {
+      db.exec("BEGIN IMMEDIATE");
+      try {
+        var result = fn({
+          get: function(id) {
+            var row = selectOne.get(id);
+            return row ? JSON.parse(row.data) : null;
+          },
+          put: function(id, meta) { upsert.run(id, JSON.stringify(meta)); },
+          del: function(id) { del.run(id); },
+        });
+        db.exec("COMMIT");
+        return result;
+      } catch (err) {
+        db.exec("ROLLBACK");
+        throw err;
+      }
+    },
+  };
+}
+
+var backend = null;
+
+function store() {
+  if (!backend) backend = process.env.NEST_STORE === "sqlite" ? sqliteBackend() : jsonBackend();
+  return backend;
 }
 
 /** Get all instances metadata */
 export function getAllInstances() {
-  return loadRaw();
+  return JSON.parse(JSON.stringify(store().all()));
 }
 
 /** Get a single instance metadata, or null */
 export function getInstance(id) {
-  var all = loadRaw();
-  return all[id] || null;
+  var all = store().all();
+  return all[id] ? JSON.parse(JSON.stringify(all[id])) : null;
 }
 
 /** Save/update instance metadata */
 export function saveInstance(id, meta) {
-  var all = loadRaw();
-  all[id] = meta;
-  saveRaw(all);
+  store().update(function(tx) { tx.put(id, meta); });
+}
+
+/**
+ * Merge fields into the stored metadata of an instance, re-reading it under the
+ * store lock. Use this instead of saveInstance() for metadata read before an await,
+ * so concurrent changes aren't overwritten. Does nothing if the instance was removed.
+ * @returns {object|null} the updated metadata
+ */
+export function updateInstance(id, patch) {
+  return store().update(function(tx) {
+    var meta = tx.get(id);
+    if (!meta) return null;
+    meta = Object.assign(meta, patch);
+    tx.put(id, meta);
+    return meta;
+  });
 }
 
 /** Remove instance metadata */
 export function removeInstance(id) {
-  var all = loadRaw();
-  delete all[id];
-  saveRaw(all);
+  store().update(function(tx) { tx.del(id); });
 }
 
 /** Get the next available port starting from BASE_PORT */
 export function nextAvailablePort(basePort) {
   basePort = basePort || 18790;
-  var all = loadRaw();
+  var all = store().all();
   var usedPorts = new Set();
   for (var key of Object.keys(all)) {
     if (all[key].port) usedPorts.add(all[key].port);
@@ -0,0 +1,249 @@
+import { join } from "node:path";
+import { randomUUID } from "node:crypto";
+import { getInstance, getNestDir } from "./store.js";
+import { readInstanceConfig } from "./configure.js";
+import { recordRevision } from "./history.js";
+import { normalizeRuntime } from "./runtime.js";
+import { createBackup, restoreState } from "./backup.js";
+import { checkInstanceHealth } from "./health.js";
+import { recordAudit, diffConfig } from "./audit.js";
+import { emitEvent } from "./events.js";
+
+/**
+ * Upgrades of instances to another OpenClaw runtime. Each upgrade:
+ *   1. backs up the instance (kept with its other backups)
+ *   2. pulls the image / installs the version (engine.setRuntime)
+ *   3. restarts the instance on it and waits until the health verdict isn't "down"
+ *   4. on timeout, restores the backed-up state dir and the previous runtime
+ * An instance that was stopped is started for the check and stopped again.
+ *
+ * The API runs upgrades as jobs (startUpgradeJob) that clients poll, and holds a
+ * per-instance runtime lock while one runs so it can't overlap another upgrade or
+ * a runtime change.
+ */
+
+export var DEFAULT_UPGRADE_TIMEOUT = 120; // seconds
+export var MAX_UPGRADE_TIMEOUT = 3600; // seconds
+var POLL_INTERVAL = 3000;
+var JOB_TTL = 60 * 60 * 1000; // finished jobs are kept this long
+var JOB_PROGRESS_LINES = 200;
+
+var jobs = new Map();
+var locked = new Set();
+
+function sameRuntime(a, b) {
+  return a.version === b.version && a.image === b.image;
+}
+
+function describeRuntime(runtime) {
+  return runtime.image || (runtime.version ? "openclaw " + runtime.version : "the default runtime");
+}
+
+/** Poll the deep health check until the gateway answers, or give up after `timeout` seconds. */
+async function waitUntilUp(engine, id, timeout) {
+  var deadline = Date.now() + timeout * 1000;
+  var report = null;
+  while (Date.now() < deadline) {
+    report = await checkInstanceHealth(engine, id);
+    if (report.verdict !== "down") return report;
+    await new Promise(function(r) { setTimeout(r, POLL_INTERVAL); });
+  }
+  return report;
+}
+
+/**
+ * Upgrade (or downgrade) one instance, rolling back if it doesn't come up.
+ * Throws only if the instance doesn't exist or the runtime is invalid.
+ * @param {import("./engine/interface.js").InstanceEngine} engine
+ * @param {string} id
+ * @param {object} runtime - { version, image }
+ * @param {object} [opts] - { timeout (seconds), onProgress(message) }
+ * @returns {Promise<{ instance: string, outcome: "upgraded"|"unchanged"|"rolled-back"|"failed",
+ *   from: object, to: object, backup?: string, verdict?: string, error?: string }>}
+ */
+export async function upgradeInstance(engine, id, runtime, opts) {
+  opts = opts || {};
+  var meta = getInstance(id);
+  if (!meta) throw new Error("Instance \"" + id + "\" not found");
+  var from = normalizeRuntime(meta.runtime);
+  var to = normalizeRuntime(runtime);
+  var timeout = opts.timeout || DEFAULT_UPGRADE_TIMEOUT;
+  var result = { instance: id, outcome: "unchanged", from: from, to: to };
+  if (sameRuntime(from, to)) return result;
+
+  function progress(message) {
+    emitEvent("upgrade.progress", id, { message: message });
+    if (opts.onProgress) opts.onProgress(message);
+  }
+  function fail(outcome, error) {
+    result.outcome = outcome;
+    result.error = error;
+    emitEvent("upgrade.failed", id, { outcome: outcome, message: error });
+    return result;
+  }
+
+  var wasRunning = (await engine.status(id)) === "running";
+  progress("Backing up " + id + "...");
+  try {
+    result.backup = (await createBackup(id)).file;
+  } catch (err) {
+    return fail("failed", "Backup failed: " + err.message);
+  }
+
+  progress("Fetching " + describeRuntime(to) + "...");
+  try {
+    await engine.setRuntime(id, to, progress);
+  } catch (err) {
+    // Nothing was switched yet
+    return fail("failed", err.message);
+  }
+
+  progress("Restarting on " + describeRuntime(to) + "...");
+  var error = null;
+  try {
+    await engine.stop(id);
+    await engine.start(id);
+    var report = await waitUntilUp(engine, id, timeout);
+    result.verdict = report ? report.verdict : "down";
+    if (result.verdict === "down") error = "Gateway did not come up within " + timeout + "s";
+  } catch (err) {
+    error = err.message;
+  }
+
+  if (!error) {
+    if (!wasRunning) await engine.stop(id);
+    result.outcome = "upgraded";
+    emitEvent("upgrade.done", id, { from: from, to: to, verdict: result.verdict });
+    return result;
+  }
+
+  progress(error + ", rolling back to " + describeRuntime(from) + "...");
+  try {
+    try { await engine.stop(id); } catch { /* may not have started */ }
+    await restoreState(id, result.backup);
+    var restored = readInstanceConfig(join(getNestDir(), "instances", id));
+    if (restored) recordRevision(id, restored, "rollback");
+    await engine.setRuntime(id, from, progress);
+    if (wasRunning) await engine.start(id);
+  } catch (rollbackErr) {
+    result.rollbackError = rollbackErr.message;
+    return fail("failed", error + "; rollback failed: " + rollbackErr.message);
+  }
+  return fail("rolled-back", error);
+}
+
+/**
+ * Upgrade several instances one at a time. Unless `continueOnFailure` is set, the
+ * rollout stops at the first instance that doesn't upgrade (the rest are "skipped").
+ * Each instance is recorded in the audit log. Throws if the runtime is invalid.
+ * @param {object} [opts] - { timeout, continueOnFailure, actor, ip, onProgress(id, message) }
+ */
+export async function upgradeInstances(engine, ids, runtime, opts) {
+  opts = opts || {};
+  var label = "UPGRADE " + describeRuntime(normalizeRuntime(runtime));
+  var results = [];
+  var halted = false;
+  for (var i = 0; i < ids.length; i++) {
+    var id = ids[i];
+    if (halted) {
+      results.push({ instance: id, outcome: "skipped" });
+      continue;
+    }
+    var dir = join(getNestDir(), "instances", id);
+    var before = readInstanceConfig(dir);
+    var result;
+    try {
+      result = await upgradeInstance(engine, id, runtime, {
+        timeout: opts.timeout,
+        onProgress: opts.onProgress && function(message) { opts.onProgress(id, message); },
+      });
+    } catch (err) {
+      result = { instance: id, outcome: "failed", error: err.message };
+    }
+    results.push(result);
+
+    var ok = result.outcome === "upgraded" || result.outcome === "unchanged";
+    var entry = {
+      actor: opts.actor || null,
+      ip: opts.ip || null,
+      action: label,
+      instance: id,
+      outcome: ok ? "success" : "failure",
+    };
+    if (result.error) entry.error = result.error;
+    var changes = diffConfig(before, readInstanceConfig(dir));
+    if (changes.length) entry.changes = changes;
+    recordAudit(entry);
+
+    if (!ok && !opts.continueOnFailure) halted = true;
+  }
+  return results;
+}
+
+/**
+ * Lock the runtime of instances while it is being changed. Throws (err.code "EBUSY")
+ * if one of them is already locked.
+ * @returns {function()} releases the lock
+ */
+export function lockRuntime(ids) {
+  var busy = ids.filter(function(id) { return locked.has(id); });
+  if (busy.length) {
+    var err = new Error("An upgrade or runtime change is already running for " + busy.join(", "));
+    err.code = "EBUSY";
+    throw err;
+  }
+  ids.forEach(function(id) { locked.add(id); });
+  return function() { ids.forEach(function(id) { locked.delete(id); }); };
+}
+
+function pruneJobs() {
+  var now = Date.now();
+  for (var entry of jobs) {
+    if (entry[1].finishedAt && now - Date.parse(entry[1].finishedAt) > JOB_TTL) jobs.delete(entry[0]);
+  }
+}
+
+/**
+ * Run upgradeInstances() in the background, with the instances locked until it ends.
+ * Throws (err.code "EBUSY") if one of them is locked.
+ * @param {object} [opts] - as for upgradeInstances()
+ * @returns {object} the job: { id, instances, runtime, status: "running"|"done"|"failed",
+ *   startedAt, finishedAt, progress: [{ at, instance, message }], results, error? }
+ */
+export function startUpgradeJob(engine, ids, runtime, opts) {
+  var unlock = lockRuntime(ids);
+  pruneJobs();
+  var job = {
+    id: randomUUID(),
+    instances: ids.slice(),
+    runtime: normalizeRuntime(runtime),
+    status: "running",
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    progress: [],
+    results: null,
+  };
+  jobs.set(job.id, job);
+
+  function onProgress(id, message) {
+    job.progress.push({ at: new Date().toISOString(), instance: id, message: message });
+    if (job.progress.length > JOB_PROGRESS_LINES) job.progress.shift();
+  }
+  upgradeInstances(engine, ids, runtime, Object.assign({}, opts, { onProgress: onProgress })).then(function(results) {
+    job.results = results;
+    job.status = results.some(function(r) { return r.outcome === "rolled-back" || r.outcome === "failed"; }) ? "failed" : "done";
+  }, function(err) {
+    job.status = "failed";
+    job.error = err.message;
+  }).then(function() {
+    job.finishedAt = new Date().toISOString();
+    unlock();
+  });
+  return job;
+}
+
+/** An upgrade job by id, or null if unknown or expired. */
+export function getUpgradeJob(id) {
+  pruneJobs();
+  return jobs.get(id) || null;
+}